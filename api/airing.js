@@ -0,0 +1,35 @@
+import { authorizeCronRequest } from "../lib/auth.js";
+import { checkAiringSubscriptions, isAiringAvailable } from "../lib/bot.js";
+import { logError } from "../lib/utils.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.status(405).json({ ok: false, error: "Method Not Allowed" });
+    return;
+  }
+
+  if (!authorizeCronRequest(req, res)) {
+    return;
+  }
+
+  if (!isAiringAvailable()) {
+    logError("Airing checks need shared storage", new Error("Set STORAGE_BACKEND=redis"));
+    res.status(503).json({ ok: false });
+    return;
+  }
+
+  const token = process.env.BOT_TOKEN;
+  if (!token) {
+    logError("Missing BOT_TOKEN", new Error("Missing env variable"));
+    res.status(500).json({ ok: false });
+    return;
+  }
+
+  try {
+    const { checked, notified } = await checkAiringSubscriptions({ token });
+    res.status(200).json({ ok: true, checked, notified });
+  } catch (error) {
+    logError("Airing check failed", error);
+    res.status(500).json({ ok: false });
+  }
+}
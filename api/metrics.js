@@ -0,0 +1,37 @@
+import { readBearerToken, secretsMatch } from "../lib/auth.js";
+import { renderMetrics } from "../lib/metrics.js";
+
+const PROMETHEUS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+function readToken(req) {
+  return (
+    readBearerToken(req) ??
+    new URL(req.url || "/", "http://localhost").searchParams.get("token")
+  );
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.status(405).json({ ok: false, error: "Method Not Allowed" });
+    return;
+  }
+
+  if (process.env.VERCEL) {
+    res.status(501).json({ ok: false, error: "Metrics are only available from server.js" });
+    return;
+  }
+
+  const metricsToken = process.env.METRICS_TOKEN?.trim() || "";
+  if (!metricsToken) {
+    res.status(404).json({ ok: false, error: "Not Found" });
+    return;
+  }
+
+  if (!secretsMatch(metricsToken, readToken(req))) {
+    res.status(401).json({ ok: false });
+    return;
+  }
+
+  res.setHeader("content-type", PROMETHEUS_CONTENT_TYPE);
+  res.status(200).send(renderMetrics());
+}
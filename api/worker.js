@@ -0,0 +1,34 @@
+import { authorizeCronRequest } from "../lib/auth.js";
+import { getJobQueue } from "../lib/bot.js";
+import { logError } from "../lib/utils.js";
+
+const WORKER_BUDGET_MS = 25_000;
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.status(405).json({ ok: false, error: "Method Not Allowed" });
+    return;
+  }
+
+  if (!authorizeCronRequest(req, res)) {
+    return;
+  }
+
+  const token = process.env.BOT_TOKEN;
+  if (!token) {
+    logError("Missing BOT_TOKEN", new Error("Missing env variable"));
+    res.status(500).json({ ok: false });
+    return;
+  }
+  const traceApiKey = process.env.TRACE_MOE_API_KEY?.trim() || "";
+
+  try {
+    const processed = await getJobQueue({ token, traceApiKey }).processPending({
+      deadline: Date.now() + WORKER_BUDGET_MS,
+    });
+    res.status(200).json({ ok: true, processed });
+  } catch (error) {
+    logError("Job worker failed", error);
+    res.status(500).json({ ok: false });
+  }
+}
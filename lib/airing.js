@@ -0,0 +1,41 @@
+const ENDED_STATUSES = new Set(["FINISHED", "CANCELLED"]);
+
+export function getNextAiring(media) {
+  const next = media?.nextAiringEpisode;
+  if (!Number.isInteger(next?.episode) || !Number.isFinite(next?.airingAt)) {
+    return null;
+  }
+
+  return { episode: next.episode, airingAt: next.airingAt * 1000 };
+}
+
+export function hasAiringEnded(media) {
+  return ENDED_STATUSES.has(media?.status) && !getNextAiring(media);
+}
+
+export function isSubscriptionDue(subscription, now, refreshMs) {
+  return (
+    (subscription.nextAiringAt !== null && subscription.nextAiringAt <= now) ||
+    (subscription.checkedAt ?? 0) + refreshMs <= now
+  );
+}
+
+export function diffAiringSchedule(subscription, media) {
+  const next = getNextAiring(media);
+  const ended = hasAiringEnded(media);
+  const expected = subscription.nextEpisode;
+  let latest = null;
+
+  if (next) {
+    latest = next.episode - 1;
+  } else if (ended) {
+    latest = Number.isInteger(media.episodes) ? media.episodes : expected;
+  }
+
+  const aired = Number.isInteger(expected) && Number.isInteger(latest) && latest >= expected;
+  return {
+    aired: aired ? { from: expected, to: latest } : null,
+    next,
+    ended,
+  };
+}
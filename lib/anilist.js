@@ -0,0 +1,278 @@
+import { isTimeoutError, ProcessingError } from "./errors.js";
+import { getRequestOutcome, metrics } from "./metrics.js";
+import { fetchWithTimeout, logError, safeJson, sleep } from "./utils.js";
+
+const DEFAULT_ANILIST_GRAPHQL_URL = "https://graphql.anilist.co";
+const ANILIST_TIMEOUT_MS = 8_000;
+const ANILIST_RETRIES = 2;
+const ANILIST_RETRY_BASE_DELAY_MS = 700;
+const ANILIST_MAX_RETRY_DELAY_MS = 5_000;
+const ANILIST_RETRYABLE_STATUSES = new Set([429, 500, 502, 503]);
+const ANILIST_CACHE_TTL_MS = 12 * 60 * 60 * 1000;
+const AIRING_BATCH_SIZE = 50;
+
+const MEDIA_DETAILS_FRAGMENT = `
+fragment MediaDetails on Media {
+  id
+  idMal
+  title {
+    native
+    romaji
+    english
+  }
+  description(asHtml: false)
+  genres
+  averageScore
+  isAdult
+  format
+  status
+  season
+  seasonYear
+  episodes
+  studios(isMain: true) {
+    nodes {
+      name
+    }
+  }
+  coverImage {
+    extraLarge
+    large
+    medium
+  }
+  siteUrl
+}
+`;
+
+const MEDIA_BY_ID_QUERY = `
+query ($id: Int) {
+  Media(id: $id, type: ANIME) {
+    ...MediaDetails
+  }
+}
+${MEDIA_DETAILS_FRAGMENT}`;
+
+const MEDIA_BY_TITLE_QUERY = `
+query ($search: String) {
+  Media(search: $search, type: ANIME, isAdult: false, sort: SEARCH_MATCH) {
+    ...MediaDetails
+  }
+}
+${MEDIA_DETAILS_FRAGMENT}`;
+
+const SEARCH_ANIME_QUERY = `
+query ($search: String, $page: Int, $perPage: Int) {
+  Page(page: $page, perPage: $perPage) {
+    pageInfo {
+      hasNextPage
+    }
+    media(search: $search, type: ANIME, isAdult: false, sort: SEARCH_MATCH) {
+      id
+      idMal
+      title {
+        native
+        romaji
+        english
+      }
+      synonyms
+      isAdult
+      format
+      status
+      episodes
+      seasonYear
+      coverImage {
+        large
+        medium
+      }
+      siteUrl
+    }
+  }
+}
+`;
+
+const AIRING_SCHEDULE_QUERY = `
+query ($ids: [Int], $perPage: Int) {
+  Page(perPage: $perPage) {
+    media(id_in: $ids, type: ANIME) {
+      id
+      title {
+        native
+        romaji
+        english
+      }
+      status
+      episodes
+      nextAiringEpisode {
+        episode
+        airingAt
+      }
+      siteUrl
+    }
+  }
+}
+`;
+
+function getRetryDelay(response, attempt) {
+  const retryAfterSeconds = Number(response?.headers?.get("retry-after"));
+  if (Number.isFinite(retryAfterSeconds) && retryAfterSeconds > 0) {
+    return retryAfterSeconds * 1000;
+  }
+
+  return ANILIST_RETRY_BASE_DELAY_MS * (attempt + 1);
+}
+
+function getAniListUrl() {
+  return process.env.ANILIST_GRAPHQL_URL?.trim() || DEFAULT_ANILIST_GRAPHQL_URL;
+}
+
+async function callAniList(query, variables) {
+  for (let attempt = 0; attempt <= ANILIST_RETRIES; attempt += 1) {
+    const canRetry = attempt < ANILIST_RETRIES;
+
+    let response;
+    try {
+      response = await fetchWithTimeout(getAniListUrl(), {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          accept: "application/json",
+        },
+        body: JSON.stringify({ query, variables }),
+        timeoutMs: ANILIST_TIMEOUT_MS,
+        metric: { service: "anilist", operation: "graphql" },
+      });
+    } catch (error) {
+      if (canRetry) {
+        metrics.retries.inc({ service: "anilist", reason: getRequestOutcome({ error }) });
+        await sleep(ANILIST_RETRY_BASE_DELAY_MS * (attempt + 1));
+        continue;
+      }
+
+      if (isTimeoutError(error)) {
+        throw new ProcessingError("TIMEOUT", "AniList request timeout", error);
+      }
+
+      throw new ProcessingError("ANILIST_API_FAILURE", "AniList request failed", error);
+    }
+
+    const payload = await safeJson(response);
+    if (ANILIST_RETRYABLE_STATUSES.has(response.status)) {
+      const delay = getRetryDelay(response, attempt);
+      if (canRetry && delay <= ANILIST_MAX_RETRY_DELAY_MS) {
+        metrics.retries.inc({ service: "anilist", reason: getRequestOutcome({ response }) });
+        await sleep(delay);
+        continue;
+      }
+
+      throw new ProcessingError(
+        response.status === 429 ? "ANILIST_LIMIT_REACHED" : "ANILIST_API_FAILURE",
+        payload?.errors?.[0]?.message || `AniList returned status ${response.status}`,
+      );
+    }
+
+    if (response.status === 404 && payload && "data" in payload) {
+      return payload.data || {};
+    }
+
+    if (!response.ok || !payload?.data) {
+      const reason = payload?.errors?.[0]?.message || `HTTP ${response.status}`;
+      throw new ProcessingError("ANILIST_API_FAILURE", `AniList request failed: ${reason}`);
+    }
+
+    return payload.data;
+  }
+
+  throw new ProcessingError("ANILIST_LIMIT_REACHED", "AniList retries exhausted");
+}
+
+export async function searchAnime(search, { page = 1, perPage = 10 } = {}) {
+  const data = await callAniList(SEARCH_ANIME_QUERY, { search, page, perPage });
+  const media = Array.isArray(data?.Page?.media) ? data.Page.media : [];
+
+  return {
+    media: media.filter((item) => item && typeof item === "object" && item.id),
+    hasNextPage: Boolean(data?.Page?.pageInfo?.hasNextPage),
+  };
+}
+
+export async function getAiringSchedules(ids) {
+  const uniqueIds = [...new Set(ids)];
+  const schedules = new Map();
+
+  for (let offset = 0; offset < uniqueIds.length; offset += AIRING_BATCH_SIZE) {
+    const batch = uniqueIds.slice(offset, offset + AIRING_BATCH_SIZE);
+    const data = await callAniList(AIRING_SCHEDULE_QUERY, { ids: batch, perPage: batch.length });
+    for (const media of Array.isArray(data?.Page?.media) ? data.Page.media : []) {
+      if (media?.id) {
+        schedules.set(media.id, media);
+      }
+    }
+  }
+
+  return schedules;
+}
+
+export function pickMediaTitle(title) {
+  if (!title || typeof title !== "object") {
+    return null;
+  }
+
+  return title.romaji || title.english || title.native || null;
+}
+
+function normalizeSearchKey(search) {
+  return search.trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+export function createAniListClient({ store, ttlMs = ANILIST_CACHE_TTL_MS }) {
+  async function readCache(key) {
+    try {
+      return await store.get(key);
+    } catch (error) {
+      logError("Failed to read AniList cache", error, { key });
+      return null;
+    }
+  }
+
+  async function writeCache(key, value) {
+    try {
+      await store.set(key, value, ttlMs);
+    } catch (error) {
+      logError("Failed to write AniList cache", error, { key });
+    }
+  }
+
+  async function getMedia(id) {
+    const key = `anilist:media:${id}`;
+    const cached = await readCache(key);
+    if (cached) {
+      return cached;
+    }
+
+    const data = await callAniList(MEDIA_BY_ID_QUERY, { id });
+    const media = data?.Media?.id ? data.Media : null;
+    if (media) {
+      await writeCache(key, media);
+    }
+
+    return media;
+  }
+
+  async function findMedia(search) {
+    const key = `anilist:search:${normalizeSearchKey(search)}`;
+    const cachedId = await readCache(key);
+    if (Number.isInteger(cachedId)) {
+      return getMedia(cachedId);
+    }
+
+    const data = await callAniList(MEDIA_BY_TITLE_QUERY, { search });
+    const media = data?.Media?.id ? data.Media : null;
+    if (media) {
+      await writeCache(key, media.id);
+      await writeCache(`anilist:media:${media.id}`, media);
+    }
+
+    return media;
+  }
+
+  return { getMedia, findMedia };
+}
@@ -0,0 +1,40 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+
+function readHeader(req, name) {
+  const value = req.headers?.[name];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+export function readBearerToken(req) {
+  const authorization = readHeader(req, "authorization");
+  if (typeof authorization === "string" && authorization.startsWith("Bearer ")) {
+    return authorization.slice("Bearer ".length).trim();
+  }
+
+  return null;
+}
+
+export function secretsMatch(expected, received) {
+  if (typeof received !== "string") {
+    return false;
+  }
+
+  const expectedDigest = createHash("sha256").update(expected).digest();
+  const receivedDigest = createHash("sha256").update(received).digest();
+  return timingSafeEqual(expectedDigest, receivedDigest);
+}
+
+export function authorizeCronRequest(req, res) {
+  const secret = process.env.CRON_SECRET?.trim() || "";
+  if (!secret) {
+    res.status(404).json({ ok: false, error: "Not Found" });
+    return false;
+  }
+
+  if (!secretsMatch(secret, readBearerToken(req))) {
+    res.status(401).json({ ok: false });
+    return false;
+  }
+
+  return true;
+}
@@ -0,0 +1,3370 @@
+import { randomUUID } from "node:crypto";
+import { z } from "zod";
+import {
+  detectMimeType,
+  logDebug,
+  logError,
+  logInfo,
+  sleep,
+  trimForTelegram,
+} from "./utils.js";
+import { diffAiringSchedule, getNextAiring, hasAiringEnded, isSubscriptionDue } from "./airing.js";
+import {
+  createAniListClient,
+  getAiringSchedules,
+  pickMediaTitle,
+  searchAnime,
+} from "./anilist.js";
+import { createCacheStoreFromEnv, createMemoryCacheStore, createResultCache } from "./cache.js";
+import { isTimeoutError, ProcessingError } from "./errors.js";
+import {
+  formatDateTime,
+  formatNumber,
+  formatPercent,
+  getLocaleName,
+  isSupportedLocale,
+  resolveLocale,
+  SUPPORTED_LOCALES,
+  t,
+} from "./i18n.js";
+import { computeImageHash } from "./imagehash.js";
+import { createJobQueueFromEnv, createMemoryJobQueue } from "./jobs.js";
+import { aggregateFrameResults, extractKeyframes, loadVideoConfig } from "./keyframes.js";
+import { createCorrelationId, getLogContext, runWithLogContext } from "./logger.js";
+import { metrics } from "./metrics.js";
+import { preprocessImage } from "./preprocess.js";
+import {
+  createSearchProvidersFromEnv,
+  createSearchRouter,
+  PROVIDER_NAMES,
+} from "./providers/index.js";
+import { normalizeTraceResult } from "./providers/tracemoe.js";
+import { combineAlbumResults, loadQualityConfig, rankResults } from "./quality.js";
+import {
+  consumeRateLimit,
+  getRateLimitRemaining,
+  loadRateLimitConfig,
+} from "./ratelimit.js";
+import { getStatsWindowStart, summarizeActivity } from "./stats.js";
+import { createMemoryStorage, createStorageFromEnv } from "./storage.js";
+import {
+  answerCallbackQuery,
+  answerInlineQuery,
+  deleteMessage,
+  downloadFileBuffer,
+  editMessageCaption,
+  editMessageMedia,
+  editMessageText,
+  getChatMember,
+  getFile,
+  getMe,
+  sendChatAction,
+  sendMessage,
+  sendPhoto,
+} from "./telegram.js";
+
+const MAX_RESULTS = 10;
+const ANILIST_ANIME_URL = "https://anilist.co/anime";
+const RESULT_SESSION_TTL_MS = 6 * 60 * 60 * 1000;
+const HISTORY_LIMIT = 10;
+const PROCESSED_UPDATE_TTL_MS = 24 * 60 * 60 * 1000;
+const UPDATE_CLAIM_TTL_MS = 2 * 60 * 1000;
+const NSFW_MODES = ["hide", "text", "spoiler"];
+const CHAT_ADMIN_STATUSES = new Set(["creator", "administrator"]);
+const SETTING_SWITCH_VALUES = { on: true, off: false };
+const CHAT_SETTING_NAMES = ["autosearch", "results", "previews", "similarity", "nsfw"];
+const SIMILARITY_SETTING_STEP = 5;
+const SIMILARITY_SETTING_MAX = 99;
+const UPDATE_TYPES = [
+  "message",
+  "edited_message",
+  "channel_post",
+  "callback_query",
+  "inline_query",
+];
+const ADMIN_COMMANDS = new Set(["stats", "broadcast", "health"]);
+const STATS_DEFAULT_DAYS = 7;
+const STATS_MAX_DAYS = 30;
+const STATS_RETENTION_MS = STATS_MAX_DAYS * 24 * 60 * 60 * 1000;
+const BROADCAST_INTERVAL_MS = 50;
+const BROADCAST_MAX_ATTEMPTS = 2;
+const BROADCASTS_COLLECTION = "broadcasts";
+const BROADCAST_BATCH_SIZE = 100;
+const BROADCAST_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const SUBSCRIPTIONS_COLLECTION = "subscriptions";
+const SUBSCRIPTION_COMMANDS = new Set(["subscribe", "subscriptions", "unsubscribe"]);
+const SUBSCRIPTIONS_MAX_PER_CHAT = 20;
+const AIRING_REFRESH_MS = 6 * 60 * 60 * 1000;
+const ALBUMS_COLLECTION = "albums";
+const ALBUM_WINDOW_MS = 1500;
+const ALBUM_MAX_ITEMS = 10;
+const ALBUM_TTL_MS = 10 * 60 * 1000;
+const ALBUM_LATE_ITEM_MS = 60 * 1000;
+const SEARCH_COMMAND_PATTERN = /(?:^|\s)\/search(?:@[a-z0-9_]+)?(?=\s|$)/i;
+const URL_PATTERN = /https?:\/\/[^\s<>"]+/gi;
+const IMAGE_URL_EXTENSION_PATTERN = /\.(?:jpe?g|png|webp|gif|bmp)$/i;
+const QUOTA_STATUS_FIELDS = [
+  "quota",
+  "quotaUsed",
+  "remaining",
+  "shortRemaining",
+  "concurrency",
+  "priority",
+];
+const INLINE_RESULTS_PER_PAGE = 10;
+const INLINE_CACHE_TIME_SECONDS = 300;
+const INLINE_ERROR_CACHE_TIME_SECONDS = 5;
+const INLINE_QUERY_MAX_LENGTH = 100;
+const MAX_IMAGE_SIZE_BYTES = 8 * 1024 * 1024;
+const TELEGRAM_MAX_DOWNLOAD_BYTES = 20 * 1024 * 1024;
+const TELEGRAM_DOWNLOAD_TIMEOUT_MS = 15_000;
+
+let jobQueue = null;
+let rateLimitConfig = null;
+let aniListClient = null;
+let botProfile = null;
+let qualityConfig = null;
+let videoConfig = null;
+let cacheStore = null;
+let resultCache = null;
+let searchRouter = null;
+let storage = null;
+
+const TelegramPhotoSchema = z
+  .object({
+    file_id: z.string().min(1),
+    file_unique_id: z.string().optional(),
+    file_size: z.number().int().nonnegative().optional(),
+    width: z.number().int().positive().optional(),
+    height: z.number().int().positive().optional(),
+  })
+  .passthrough();
+
+const TelegramFileSchema = z
+  .object({
+    file_id: z.string().min(1),
+    file_unique_id: z.string().optional(),
+    file_size: z.number().int().nonnegative().optional(),
+    mime_type: z.string().optional(),
+    thumbnail: TelegramPhotoSchema.optional(),
+    thumb: TelegramPhotoSchema.optional(),
+  })
+  .passthrough();
+
+const TelegramStickerSchema = TelegramFileSchema.extend({
+  is_animated: z.boolean().optional(),
+  is_video: z.boolean().optional(),
+}).passthrough();
+
+const TelegramUserSchema = z
+  .object({
+    id: z.number(),
+    is_bot: z.boolean().optional(),
+    username: z.string().optional(),
+    first_name: z.string().optional(),
+    language_code: z.string().optional(),
+  })
+  .passthrough();
+
+const TelegramBaseMessageSchema = z
+  .object({
+    message_id: z.number().optional(),
+    chat: z
+      .object({
+        id: z.union([z.number(), z.string()]),
+        type: z.string().optional(),
+        title: z.string().optional(),
+      })
+      .passthrough(),
+    from: TelegramUserSchema.optional(),
+    sender_chat: z.object({ id: z.union([z.number(), z.string()]) }).passthrough().optional(),
+    text: z.string().optional(),
+    caption: z.string().optional(),
+    photo: z.array(TelegramPhotoSchema).optional(),
+    document: TelegramFileSchema.optional(),
+    sticker: TelegramStickerSchema.optional(),
+    animation: TelegramFileSchema.optional(),
+    video: TelegramFileSchema.optional(),
+    video_note: TelegramFileSchema.optional(),
+    media_group_id: z.string().optional(),
+  })
+  .passthrough();
+
+const TelegramMessageEntitySchema = z
+  .object({
+    type: z.string(),
+    offset: z.number().int().nonnegative(),
+    length: z.number().int().nonnegative(),
+    user: TelegramUserSchema.optional(),
+  })
+  .passthrough();
+
+const TelegramMessageSchema = TelegramBaseMessageSchema.extend({
+  entities: z.array(TelegramMessageEntitySchema).optional(),
+  caption_entities: z.array(TelegramMessageEntitySchema).optional(),
+  reply_to_message: TelegramBaseMessageSchema.optional(),
+}).passthrough();
+
+const TelegramCallbackQuerySchema = z
+  .object({
+    id: z.string().min(1),
+    from: TelegramUserSchema.optional(),
+    data: z.string().optional(),
+    message: z
+      .object({
+        message_id: z.number(),
+        chat: z
+          .object({
+            id: z.union([z.number(), z.string()]),
+            type: z.string().optional(),
+          })
+          .passthrough(),
+      })
+      .passthrough()
+      .optional(),
+  })
+  .passthrough();
+
+const TelegramInlineQuerySchema = z
+  .object({
+    id: z.string().min(1),
+    from: TelegramUserSchema.optional(),
+    query: z.string(),
+    offset: z.string().optional(),
+  })
+  .passthrough();
+
+const TelegramUpdateSchema = z
+  .object({
+    update_id: z.number().optional(),
+    message: TelegramMessageSchema.optional(),
+    edited_message: TelegramMessageSchema.optional(),
+    channel_post: TelegramMessageSchema.optional(),
+    callback_query: TelegramCallbackQuerySchema.optional(),
+    inline_query: TelegramInlineQuerySchema.optional(),
+  })
+  .passthrough();
+
+function formatImageTooLargeMessage(locale, limitBytes = MAX_IMAGE_SIZE_BYTES) {
+  const limitMb = Math.floor(limitBytes / (1024 * 1024));
+  return t(locale, "imageTooLarge", { limitMb: formatNumber(locale, limitMb) });
+}
+
+function withImageGuidelines(locale, key) {
+  return `${t(locale, key)}\n\n${t(locale, "imageGuidelines")}`;
+}
+
+function getIncomingMessage(update) {
+  return update.message || update.edited_message || update.channel_post || null;
+}
+
+function parseCommand(text) {
+  if (typeof text !== "string") {
+    return null;
+  }
+
+  const match = /^\/([a-z0-9_]+)(?:@([a-z0-9_]+))?(?:\s+([\s\S]*))?$/i.exec(text.trim());
+  if (!match) {
+    return null;
+  }
+
+  return {
+    name: match[1].toLowerCase(),
+    target: match[2]?.toLowerCase() || null,
+    args: (match[3] || "").trim(),
+  };
+}
+
+function isQuotaCommand(text) {
+  const command = parseCommand(text);
+  return command?.name === "quota" && !command.args;
+}
+
+function isSearchCommand(text) {
+  return typeof text === "string" && SEARCH_COMMAND_PATTERN.test(text);
+}
+
+function getHistoryCommand(text) {
+  const command = parseCommand(text);
+  return command?.name === "history" ? command : null;
+}
+
+function getSubscriptionCommand(text) {
+  const command = parseCommand(text);
+  return SUBSCRIPTION_COMMANDS.has(command?.name) ? command : null;
+}
+
+function getLangCommand(text) {
+  const command = parseCommand(text);
+  return command?.name === "lang" ? command : null;
+}
+
+function getSettingsCommand(text) {
+  const command = parseCommand(text);
+  return command?.name === "settings" ? command : null;
+}
+
+function getInfoCommand(text) {
+  const command = parseCommand(text);
+  return command?.name === "info" ? command : null;
+}
+
+function parseHttpUrl(value) {
+  try {
+    return new URL(value);
+  } catch {
+    return null;
+  }
+}
+
+function extractImageUrl(text) {
+  if (typeof text !== "string") {
+    return null;
+  }
+
+  const urls = (text.match(URL_PATTERN) ?? []).map(parseHttpUrl).filter(Boolean);
+  const url = isSearchCommand(text)
+    ? urls[0]
+    : urls.find((candidate) => IMAGE_URL_EXTENSION_PATTERN.test(candidate.pathname));
+  return url ? url.toString() : null;
+}
+
+function toSafeNumber(value) {
+  return Number.isFinite(value) ? Number(value) : null;
+}
+
+function formatOptionalNumber(locale, value) {
+  return value === null ? t(locale, "notAvailable") : formatNumber(locale, value);
+}
+
+function formatStatusFields(status, locale) {
+  const lines = [];
+  if ("id" in status) {
+    lines.push(t(locale, "quota.id", { value: status.id || t(locale, "notAvailable") }));
+  }
+
+  for (const field of QUOTA_STATUS_FIELDS) {
+    if (field in status) {
+      lines.push(
+        t(locale, `quota.${field}`, { value: formatOptionalNumber(locale, status[field]) }),
+      );
+    }
+  }
+
+  return lines;
+}
+
+function formatKeyStatus(key, locale) {
+  const lines = [t(locale, "quota.key", { label: key.label })];
+  lines.push(...(key.error ? [getErrorMessage(key.error, locale)] : formatStatusFields(key, locale)));
+
+  if (key.cooldownUntil) {
+    const clock = new Date(key.cooldownUntil).toISOString().slice(11, 16);
+    lines.push(t(locale, "quota.cooldown", { clock }));
+  }
+
+  return lines.join("\n");
+}
+
+function formatProviderStatus(entry, locale) {
+  const heading = t(locale, "quota.provider", {
+    name: PROVIDER_NAMES[entry.provider] || entry.provider,
+  });
+
+  if (!entry.ok) {
+    return `${heading}\n${getErrorMessage(entry.error, locale)}`;
+  }
+
+  const { status } = entry;
+  if (status.checked === false) {
+    return `${heading}\n${t(locale, "quota.notChecked")}`;
+  }
+
+  if (Array.isArray(status.keys)) {
+    return `${heading}\n${status.keys.map((key) => formatKeyStatus(key, locale)).join("\n\n")}`;
+  }
+
+  return [heading, ...formatStatusFields(status, locale)].join("\n");
+}
+
+function formatQuotaMessage(statuses, locale) {
+  return [
+    t(locale, "quota.header"),
+    ...statuses.map((entry) => formatProviderStatus(entry, locale)),
+  ].join("\n\n");
+}
+
+function getPhotoSortWeight(photo) {
+  if (typeof photo?.file_size === "number" && Number.isFinite(photo.file_size)) {
+    return photo.file_size;
+  }
+
+  const width = Number.isFinite(photo?.width) ? photo.width : 0;
+  const height = Number.isFinite(photo?.height) ? photo.height : 0;
+  return width * height;
+}
+
+function getLargestPhoto(photos) {
+  if (!Array.isArray(photos) || photos.length === 0) {
+    return null;
+  }
+
+  return photos.reduce((largest, candidate) => {
+    if (!largest) {
+      return candidate;
+    }
+
+    return getPhotoSortWeight(candidate) >= getPhotoSortWeight(largest)
+      ? candidate
+      : largest;
+  }, null);
+}
+
+function getMediaKind(mimeType) {
+  if (typeof mimeType !== "string") {
+    return null;
+  }
+
+  if (mimeType.startsWith("image/")) {
+    return "image";
+  }
+
+  if (mimeType.startsWith("video/")) {
+    return "video";
+  }
+
+  return null;
+}
+
+function toMediaCandidate(file, mimeType) {
+  const kind = getMediaKind(mimeType);
+  if (!file?.file_id || !kind) {
+    return null;
+  }
+
+  return {
+    fileId: file.file_id,
+    fileUniqueId: file.file_unique_id,
+    fileSize: file.file_size,
+    mimeType,
+    kind,
+    limitBytes: getMediaSizeLimit(kind),
+  };
+}
+
+function toThumbnailCandidate(file) {
+  return toMediaCandidate(file?.thumbnail || file?.thumb, "image/jpeg");
+}
+
+function getMediaCandidates(message) {
+  const candidates = [];
+  const photo = getLargestPhoto(message?.photo);
+  if (photo) {
+    candidates.push(toMediaCandidate(photo, "image/jpeg"));
+  }
+
+  const { document, sticker, animation, video, video_note: videoNote } = message || {};
+
+  if (document) {
+    candidates.push(toMediaCandidate(document, document.mime_type), toThumbnailCandidate(document));
+  }
+
+  if (sticker) {
+    if (sticker.is_video) {
+      candidates.push(toMediaCandidate(sticker, "video/webm"));
+    } else if (!sticker.is_animated) {
+      candidates.push(toMediaCandidate(sticker, "image/webp"));
+    }
+
+    candidates.push(toThumbnailCandidate(sticker));
+  }
+
+  for (const clip of [animation, video]) {
+    if (clip) {
+      candidates.push(toMediaCandidate(clip, clip.mime_type || "video/mp4"), toThumbnailCandidate(clip));
+    }
+  }
+
+  if (videoNote) {
+    candidates.push(toMediaCandidate(videoNote, "video/mp4"), toThumbnailCandidate(videoNote));
+  }
+
+  return candidates.filter(Boolean);
+}
+
+function pickMediaFile(message) {
+  const candidates = getMediaCandidates(message);
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const suitable = candidates.find(
+    (candidate) => !candidate.fileSize || candidate.fileSize <= candidate.limitBytes,
+  );
+
+  if (!suitable) {
+    throw new ProcessingError("IMAGE_TOO_LARGE", "Media exceeded size limit", undefined, {
+      limitBytes: candidates[0].limitBytes,
+    });
+  }
+
+  return suitable;
+}
+
+function getMessageSearchSource(message) {
+  const media = pickMediaFile(message);
+  if (media) {
+    return { type: "media", media };
+  }
+
+  const url = extractImageUrl(message?.text) || extractImageUrl(message?.caption);
+  if (url) {
+    return { type: "url", url };
+  }
+
+  return null;
+}
+
+function resolveSearchSource(message, { useReply = false } = {}) {
+  const source = getMessageSearchSource(message);
+  if (source) {
+    return source;
+  }
+
+  if (useReply || isSearchCommand(message.text || message.caption)) {
+    return getMessageSearchSource(message.reply_to_message);
+  }
+
+  return null;
+}
+
+function formatTimestamp(seconds) {
+  if (typeof seconds !== "number" || !Number.isFinite(seconds) || seconds < 0) {
+    return "--:--";
+  }
+
+  const totalSeconds = Math.floor(seconds);
+  const minutes = Math.floor(totalSeconds / 60);
+  const remaining = totalSeconds % 60;
+  return `${String(minutes).padStart(2, "0")}:${String(remaining).padStart(2, "0")}`;
+}
+
+function pickAnimeTitle(result) {
+  return typeof result?.title === "string" && result.title.trim() ? result.title.trim() : null;
+}
+
+function formatEpisode(episode, locale) {
+  if (typeof episode === "number" && Number.isFinite(episode)) {
+    return formatNumber(locale, episode);
+  }
+
+  if (typeof episode === "string" && episode.trim()) {
+    return episode.trim();
+  }
+
+  return t(locale, "notAvailable");
+}
+
+function formatSimilarity(similarity, locale) {
+  if (typeof similarity !== "number" || !Number.isFinite(similarity)) {
+    return t(locale, "notAvailable");
+  }
+
+  return formatPercent(locale, similarity);
+}
+
+function normalizePreviewUrl(value) {
+  if (typeof value !== "string") {
+    return null;
+  }
+
+  const normalized = value.trim();
+  if (!normalized) {
+    return null;
+  }
+
+  if (!/^https?:\/\//i.test(normalized)) {
+    return null;
+  }
+
+  return normalized;
+}
+
+function formatProviderName(provider, locale) {
+  return PROVIDER_NAMES[provider] || t(locale, "notAvailable");
+}
+
+function formatResultDetails(result, index, total, locale) {
+  const title = pickAnimeTitle(result) || t(locale, "notAvailable");
+  const from = formatTimestamp(result?.from);
+  const to = formatTimestamp(result?.to);
+  const lines = [
+    total
+      ? t(locale, "results.indexOfTotal", { index, total })
+      : t(locale, "results.index", { index }),
+    t(locale, "results.title", { value: title }),
+    t(locale, "results.episode", { value: formatEpisode(result?.episode, locale) }),
+    t(locale, "results.similarity", { value: formatSimilarity(result?.similarity, locale) }),
+    t(locale, "results.time", { from, to }),
+    t(locale, "results.provider", { value: formatProviderName(result?.provider, locale) }),
+  ];
+
+  if (result?.frames) {
+    lines.push(
+      t(locale, "results.frames", {
+        matched: formatNumber(locale, result.frames.matched),
+        total: formatNumber(locale, result.frames.total),
+      }),
+    );
+  }
+
+  if (result?.possibleMatch) {
+    lines.push(t(locale, "results.possibleMatch"));
+  }
+
+  return lines.join("\n");
+}
+
+function formatResultCardCaption(session, index) {
+  const { results, locale } = session;
+  const header = t(locale, "results.header");
+  const title = session.noteKey ? `${header}\n${t(locale, session.noteKey)}` : header;
+  const details = formatResultDetails(results[index], index + 1, results.length, locale);
+  return `${title}\n\n${details}`;
+}
+
+function getAniListId(result) {
+  const id = result?.anilistId;
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function normalizeStoredResults(results) {
+  if (!Array.isArray(results)) {
+    return [];
+  }
+
+  return results.map((result) => (result?.provider ? result : normalizeTraceResult(result)));
+}
+
+function buildResultCallbackData(index, mode) {
+  return `res:${index}:${mode}`;
+}
+
+function parseResultCallbackData(data) {
+  const match = /^res:(\d+):(image|video)$/.exec(String(data || ""));
+  if (!match) {
+    return null;
+  }
+
+  return { index: Number(match[1]), mode: match[2] };
+}
+
+function buildResultKeyboard(session, index, mode) {
+  const { locale } = session;
+  const result = session.results[index];
+  const navigationRow = [];
+  const actionsRow = [];
+  const linksRow = [];
+
+  if (index > 0) {
+    navigationRow.push({
+      text: t(locale, "buttons.previous"),
+      callback_data: buildResultCallbackData(index - 1, "image"),
+    });
+  }
+
+  if (index < session.results.length - 1) {
+    navigationRow.push({
+      text: t(locale, "buttons.next"),
+      callback_data: buildResultCallbackData(index + 1, "image"),
+    });
+  }
+
+  if (
+    session.kind === "media" &&
+    !isPreviewHidden(session, result) &&
+    normalizePreviewUrl(result?.video)
+  ) {
+    actionsRow.push(
+      mode === "video"
+        ? {
+            text: t(locale, "buttons.showImage"),
+            callback_data: buildResultCallbackData(index, "image"),
+          }
+        : {
+            text: t(locale, "buttons.showVideo"),
+            callback_data: buildResultCallbackData(index, "video"),
+          },
+    );
+  }
+
+  const aniListId = getAniListId(result);
+  if (aniListId) {
+    actionsRow.push({
+      text: t(locale, "buttons.details"),
+      callback_data: `info:${aniListId}`,
+    });
+    linksRow.push({
+      text: t(locale, "buttons.anilist"),
+      url: `${ANILIST_ANIME_URL}/${aniListId}`,
+    });
+    if (isAiringAvailable()) {
+      linksRow.push({
+        text: t(locale, "buttons.subscribe"),
+        callback_data: `sub:${aniListId}`,
+      });
+    }
+  }
+
+  const rows = [navigationRow, actionsRow, linksRow].filter((row) => row.length > 0);
+  return rows.length > 0 ? { inline_keyboard: rows } : undefined;
+}
+
+function getResultSessionKey(chatId, messageId) {
+  return `${chatId}:${messageId}`;
+}
+
+async function saveResultSession(chatId, messageId, session) {
+  const now = Date.now();
+  const sessions = getStorage();
+
+  try {
+    await sessions.put("resultSessions", getResultSessionKey(chatId, messageId), {
+      ...session,
+      expiresAt: now + RESULT_SESSION_TTL_MS,
+    });
+  } catch (error) {
+    logError("Failed to save result session", error, { chatId, messageId });
+  }
+}
+
+async function getResultSession(chatId, messageId) {
+  const session = await getStorage().get("resultSessions", getResultSessionKey(chatId, messageId));
+  if (!session || session.expiresAt <= Date.now()) {
+    return null;
+  }
+
+  return { ...session, results: normalizeStoredResults(session.results) };
+}
+
+function isPreviewHidden(session, result) {
+  return session.nsfw === "text" && result?.isAdult === true;
+}
+
+function shouldBlurPreview(session, result) {
+  return session.nsfw === "spoiler" && result?.isAdult === true;
+}
+
+function findStandInPreview(session) {
+  for (const result of session.results) {
+    const imageUrl = isPreviewHidden(session, result) ? null : normalizePreviewUrl(result?.image);
+    if (imageUrl) {
+      return imageUrl;
+    }
+  }
+
+  return null;
+}
+
+function formatLowConfidenceMessage(best, locale) {
+  const closest =
+    best && !best.isAdult
+      ? t(locale, "lowConfidence.closest", {
+          title: pickAnimeTitle(best) || t(locale, "notAvailable"),
+          similarity: formatSimilarity(best.similarity, locale),
+        })
+      : null;
+
+  return [t(locale, "lowConfidence.header"), closest, "", t(locale, "imageGuidelines")]
+    .filter((line) => line !== null)
+    .join("\n");
+}
+
+async function selectCardResults(chatId, results) {
+  const settings = await getChatSettings(chatId);
+  const { confidentSimilarity } = getQualityConfig();
+  const { accepted, rejected } = rankResults(results, {
+    minSimilarity: settings.minSimilarity,
+    confidentSimilarity,
+  });
+  const allowed =
+    settings.nsfw === "hide" ? accepted.filter((result) => !result.isAdult) : accepted;
+
+  return { settings, accepted, rejected, visible: allowed.slice(0, settings.maxResults) };
+}
+
+async function sendResultCard(token, chatId, results, { locale, noteKey = null }) {
+  const { settings, accepted, rejected, visible } = await selectCardResults(chatId, results);
+  const { nsfw, previews } = settings;
+  if (accepted.length === 0) {
+    await sendMessage(token, { chatId, text: formatLowConfidenceMessage(rejected[0], locale) });
+    return null;
+  }
+
+  if (visible.length === 0) {
+    await sendMessage(token, { chatId, text: t(locale, "nsfw.allHidden") });
+    return null;
+  }
+
+  const session = { results: visible, locale, noteKey, nsfw, kind: "media" };
+  const caption = formatResultCardCaption(session, 0);
+  const previewHidden = isPreviewHidden(session, visible[0]);
+  let imageUrl = null;
+  if (previews) {
+    imageUrl = previewHidden ? findStandInPreview(session) : normalizePreviewUrl(visible[0]?.image);
+  }
+  let sent = null;
+
+  if (imageUrl) {
+    try {
+      sent = await sendPhoto(token, {
+        chatId,
+        photoUrl: imageUrl,
+        caption: previewHidden ? `${caption}\n${t(locale, "nsfw.previewStandIn")}` : caption,
+        replyMarkup: buildResultKeyboard(session, 0, "image"),
+        hasSpoiler: previewHidden || shouldBlurPreview(session, visible[0]),
+      });
+    } catch (error) {
+      logError("Failed to send preview image", error, { chatId, imageUrl });
+    }
+  }
+
+  if (!sent) {
+    session.kind = "text";
+    let note = null;
+    if (previews) {
+      note = t(locale, previewHidden ? "nsfw.previewHidden" : "previewSendFailed");
+    }
+    sent = await sendMessage(token, {
+      chatId,
+      text: note ? `${caption}\n${note}` : caption,
+      replyMarkup: buildResultKeyboard(session, 0, "image"),
+    });
+  }
+
+  if (sent?.message_id) {
+    await saveResultSession(chatId, sent.message_id, session);
+  }
+
+  return sent?.message_id ?? null;
+}
+
+async function updateResultCard(token, chatId, messageId, results, { noteKey = null }) {
+  const session = await getResultSession(chatId, messageId);
+  if (!session) {
+    return false;
+  }
+
+  const { visible } = await selectCardResults(chatId, results);
+  if (visible.length > 0) {
+    const updated = { ...session, results: visible, noteKey };
+    try {
+      await renderResultCard(token, { chatId, messageId, session: updated, index: 0, mode: "image" });
+      await saveResultSession(chatId, messageId, updated);
+    } catch (error) {
+      logError("Failed to update result card", error, { chatId, messageId });
+    }
+  }
+
+  return true;
+}
+
+async function renderResultCard(token, { chatId, messageId, session, index, mode }) {
+  const result = session.results[index];
+  const caption = formatResultCardCaption(session, index);
+  const replyMarkup = buildResultKeyboard(session, index, mode);
+
+  if (session.kind === "text") {
+    await editMessageText(token, { chatId, messageId, text: caption, replyMarkup });
+    return;
+  }
+
+  const previewHidden = isPreviewHidden(session, result);
+  const mediaUrl = previewHidden
+    ? findStandInPreview(session)
+    : normalizePreviewUrl(mode === "video" ? result?.video : result?.image);
+  if (!mediaUrl) {
+    const note = t(session.locale, previewHidden ? "nsfw.previewHidden" : "previewSendFailed");
+    await editMessageCaption(token, {
+      chatId,
+      messageId,
+      caption: `${caption}\n${note}`,
+      replyMarkup,
+    });
+    return;
+  }
+
+  const standInNote = previewHidden ? t(session.locale, "nsfw.previewStandIn") : null;
+  await editMessageMedia(token, {
+    chatId,
+    messageId,
+    media: {
+      type: mode === "video" && !previewHidden ? "video" : "photo",
+      url: mediaUrl,
+      caption: standInNote ? `${caption}\n${standInNote}` : caption,
+      hasSpoiler: previewHidden || shouldBlurPreview(session, result),
+    },
+    replyMarkup,
+  });
+}
+
+async function safeAnswerCallback(token, callbackQueryId, text = "", showAlert = false) {
+  try {
+    await answerCallbackQuery(token, { callbackQueryId, text, showAlert });
+  } catch (error) {
+    logError("Failed to answer callback query", error, { callbackQueryId });
+  }
+}
+
+async function handleResultCallback(token, query, locale) {
+  const action = parseResultCallbackData(query.data);
+  const chatId = query.message?.chat?.id ?? null;
+  const messageId = query.message?.message_id ?? null;
+
+  if (!action || chatId === null || messageId === null) {
+    await safeAnswerCallback(token, query.id);
+    return;
+  }
+
+  const session = await getResultSession(chatId, messageId);
+  if (!session || action.index >= session.results.length) {
+    await safeAnswerCallback(token, query.id, t(locale, "resultsExpired"), true);
+    return;
+  }
+
+  try {
+    await renderResultCard(token, { chatId, messageId, session, ...action });
+    await safeAnswerCallback(token, query.id);
+  } catch (error) {
+    logError("Failed to update result card", error, { chatId, messageId, ...action });
+    await safeAnswerCallback(token, query.id, t(session.locale, "previewSendFailed"));
+  }
+}
+
+function formatSearchDate(timestamp, locale) {
+  if (!Number.isFinite(timestamp)) {
+    return t(locale, "notAvailable");
+  }
+
+  return `${formatDateTime(locale, timestamp)} UTC`;
+}
+
+function formatHistoryEntry(search, index, locale) {
+  const summary = search.topResult || {};
+  const title = summary.title || t(locale, "notAvailable");
+  const details = t(locale, "history.entryDetails", {
+    episode: formatEpisode(summary.episode, locale),
+    similarity: formatSimilarity(summary.similarity, locale),
+  });
+  const time = t(locale, "history.entryTime", {
+    from: formatTimestamp(summary.from),
+    to: formatTimestamp(summary.to),
+    date: formatSearchDate(search.createdAt, locale),
+  });
+
+  return [`${index}. ${title}`, `   ${details}`, `   ${time}`].join("\n");
+}
+
+async function listUserHistory(userId) {
+  const searches = await getStorage().list(
+    "searches",
+    (search) => search.userId === userId && search.resultCount > 0,
+  );
+
+  return searches.sort((left, right) => right.createdAt - left.createdAt).slice(0, HISTORY_LIMIT);
+}
+
+async function sendHistory(token, chatId, userId, locale) {
+  const searches = await listUserHistory(userId);
+  if (searches.length === 0) {
+    await sendMessage(token, { chatId, text: t(locale, "history.empty") });
+    return;
+  }
+
+  const entries = searches.map((search, index) => formatHistoryEntry(search, index + 1, locale));
+  const text = [
+    t(locale, "history.header"),
+    "",
+    ...entries,
+    "",
+    t(locale, "history.openHint"),
+  ].join("\n");
+  const buttons = searches.map((search, index) => ({
+    text: String(index + 1),
+    callback_data: `hist:${search.id}`,
+  }));
+  const rows = [];
+  for (let index = 0; index < buttons.length; index += 5) {
+    rows.push(buttons.slice(index, index + 5));
+  }
+
+  await sendMessage(token, { chatId, text, replyMarkup: { inline_keyboard: rows } });
+}
+
+async function clearHistory(token, chatId, userId, locale) {
+  const removed = await getStorage().deleteWhere("searches", (search) => search.userId === userId);
+  await safeReply(token, chatId, t(locale, "history.cleared", { count: formatNumber(locale, removed) }));
+}
+
+async function handleHistoryCommand(token, message, command, locale) {
+  const chatId = message.chat.id;
+  const userId = message.from?.id ?? null;
+  const action = command.args.toLowerCase();
+
+  if (userId === null || (action && action !== "clear")) {
+    await safeReply(token, chatId, t(locale, "history.usage"));
+    return;
+  }
+
+  try {
+    if (action === "clear") {
+      await clearHistory(token, chatId, userId, locale);
+      return;
+    }
+
+    if (isGroupChat(message.chat)) {
+      await sendGroupHistory(token, message, locale);
+      return;
+    }
+
+    await sendHistory(token, chatId, userId, locale);
+  } catch (error) {
+    logError("Failed to handle /history", error, { chatId, userId });
+    await safeReply(token, chatId, t(locale, "history.unavailable"));
+  }
+}
+
+async function sendGroupHistory(token, message, locale) {
+  const chatId = message.chat.id;
+  const userId = message.from.id;
+
+  try {
+    await sendHistory(token, userId, userId, locale);
+  } catch (error) {
+    if (!isUnreachableChatError(error)) {
+      throw error;
+    }
+
+    const { username } = await getBotProfile(token);
+    const button = { text: t(locale, "history.openChat"), url: `https://t.me/${username}` };
+    await sendMessage(token, {
+      chatId,
+      text: t(locale, "history.startPrivate"),
+      replyMarkup: username ? { inline_keyboard: [[button]] } : undefined,
+    });
+    return;
+  }
+
+  await safeReply(token, chatId, t(locale, "history.sentPrivately"));
+}
+
+async function handleHistoryCallback(token, query, locale) {
+  const searchId = query.data.slice("hist:".length);
+  const chatId = query.message?.chat?.id ?? null;
+  const search = searchId ? await getStorage().get("searches", searchId) : null;
+
+  if (chatId === null || !search || search.userId !== query.from?.id || !search.results?.length) {
+    await safeAnswerCallback(token, query.id, t(locale, "history.entryMissing"), true);
+    return;
+  }
+
+  await sendResultCard(token, chatId, normalizeStoredResults(search.results), {
+    locale,
+    noteKey: "results.historyNote",
+  });
+  await safeAnswerCallback(token, query.id);
+}
+
+function isGroupChat(chat) {
+  return chat?.type ? chat.type !== "private" : Number(chat?.id) < 0;
+}
+
+function resolveChatSettings(chat) {
+  const stored = chat?.settings || {};
+  const group = isGroupChat(chat);
+  const maxResults = Number(stored.maxResults);
+  const { minSimilarity } = stored;
+
+  return {
+    nsfw: NSFW_MODES.includes(stored.nsfw) ? stored.nsfw : group ? "hide" : "spoiler",
+    autoSearch: typeof stored.autoSearch === "boolean" ? stored.autoSearch : !group,
+    maxResults:
+      Number.isInteger(maxResults) && maxResults >= 1 && maxResults <= MAX_RESULTS
+        ? maxResults
+        : MAX_RESULTS,
+    previews: typeof stored.previews === "boolean" ? stored.previews : true,
+    minSimilarity:
+      typeof minSimilarity === "number" &&
+      minSimilarity >= 0 &&
+      minSimilarity <= SIMILARITY_SETTING_MAX / 100
+        ? minSimilarity
+        : getQualityConfig().minSimilarity,
+  };
+}
+
+async function getChatSettings(chatId) {
+  let chat = null;
+  try {
+    chat = await getStorage().get("chats", chatId);
+  } catch (error) {
+    logError("Failed to load chat settings", error, { chatId });
+  }
+
+  return resolveChatSettings(chat ?? { id: chatId });
+}
+
+async function updateChatSettings(chatId, patch) {
+  const updated = await getStorage().update("chats", chatId, (existing) => ({
+    ...existing,
+    id: chatId,
+    settings: { ...existing?.settings, ...patch },
+  }));
+  return resolveChatSettings(updated);
+}
+
+async function isChatAdmin(token, chat, user, senderChat) {
+  if (!isGroupChat(chat) || (senderChat && senderChat.id === chat.id)) {
+    return true;
+  }
+
+  if (!user) {
+    return false;
+  }
+
+  try {
+    const member = await getChatMember(token, { chatId: chat.id, userId: user.id });
+    return CHAT_ADMIN_STATUSES.has(member?.status);
+  } catch (error) {
+    logError("Failed to check chat admin status", error, { chatId: chat.id, userId: user.id });
+    return false;
+  }
+}
+
+function parseSettingUpdate(name, value) {
+  if (name === "nsfw") {
+    return NSFW_MODES.includes(value) ? { nsfw: value } : null;
+  }
+
+  if (name === "autosearch" || name === "previews") {
+    if (!Object.hasOwn(SETTING_SWITCH_VALUES, value)) {
+      return null;
+    }
+
+    return { [name === "autosearch" ? "autoSearch" : "previews"]: SETTING_SWITCH_VALUES[value] };
+  }
+
+  if (name === "results") {
+    const count = Number(value);
+    return Number.isInteger(count) && count >= 1 && count <= MAX_RESULTS
+      ? { maxResults: count }
+      : null;
+  }
+
+  if (name === "similarity") {
+    const percent = Number(String(value).replace(/%$/, ""));
+    return Number.isInteger(percent) && percent >= 0 && percent <= SIMILARITY_SETTING_MAX
+      ? { minSimilarity: percent / 100 }
+      : null;
+  }
+
+  return null;
+}
+
+function getSettingChoices(name) {
+  if (name === "nsfw") {
+    return NSFW_MODES.join(", ");
+  }
+
+  if (name === "results") {
+    return `1-${MAX_RESULTS}`;
+  }
+
+  if (name === "similarity") {
+    return `0-${SIMILARITY_SETTING_MAX}`;
+  }
+
+  return Object.keys(SETTING_SWITCH_VALUES).join(", ");
+}
+
+function formatNsfwMode(mode, locale) {
+  return t(locale, `settings.nsfwModes.${mode}`);
+}
+
+function formatSwitch(enabled, locale) {
+  return t(locale, enabled ? "settings.on" : "settings.off");
+}
+
+function formatSettingLines(settings, chat, locale) {
+  const lines = [];
+  if (isGroupChat(chat)) {
+    const value = formatSwitch(settings.autoSearch, locale);
+    lines.push(t(locale, "settings.autoSearch", { value }));
+  }
+
+  lines.push(
+    t(locale, "settings.results", { value: formatNumber(locale, settings.maxResults) }),
+    t(locale, "settings.previews", { value: formatSwitch(settings.previews, locale) }),
+    t(locale, "settings.similarity", { value: formatPercent(locale, settings.minSimilarity, 0) }),
+    t(locale, "settings.nsfw", { value: formatNsfwMode(settings.nsfw, locale) }),
+  );
+  return lines;
+}
+
+function formatChatSettings(settings, chat, locale) {
+  return [
+    t(locale, "settings.header"),
+    ...formatSettingLines(settings, chat, locale),
+    "",
+    t(locale, "settings.usage", { max: MAX_RESULTS, maxSimilarity: SIMILARITY_SETTING_MAX }),
+  ].join("\n");
+}
+
+function buildNsfwButtons(current, locale) {
+  return NSFW_MODES.map((mode) => ({
+    text: `${mode === current ? "✅ " : ""}${formatNsfwMode(mode, locale)}`,
+    callback_data: `set:nsfw:${mode}`,
+  }));
+}
+
+function buildNsfwKeyboard(current, locale) {
+  return {
+    inline_keyboard: buildNsfwButtons(current, locale).map((button) => [button]),
+  };
+}
+
+function buildSettingsKeyboard(settings, chat, locale) {
+  const rows = [];
+  if (isGroupChat(chat)) {
+    rows.push([
+      {
+        text: t(locale, "settings.autoSearch", {
+          value: formatSwitch(settings.autoSearch, locale),
+        }),
+        callback_data: `set:autosearch:${settings.autoSearch ? "off" : "on"}`,
+      },
+    ]);
+  }
+
+  const resultsRow = [];
+  if (settings.maxResults > 1) {
+    resultsRow.push({
+      text: `➖ ${formatNumber(locale, settings.maxResults - 1)}`,
+      callback_data: `set:results:${settings.maxResults - 1}`,
+    });
+  }
+
+  if (settings.maxResults < MAX_RESULTS) {
+    resultsRow.push({
+      text: `➕ ${formatNumber(locale, settings.maxResults + 1)}`,
+      callback_data: `set:results:${settings.maxResults + 1}`,
+    });
+  }
+
+  const percent = Math.round(settings.minSimilarity * 100);
+  const similarityRow = [];
+  if (percent > 0) {
+    const lower = Math.max(percent - SIMILARITY_SETTING_STEP, 0);
+    similarityRow.push({
+      text: `➖ ${formatPercent(locale, lower / 100, 0)}`,
+      callback_data: `set:similarity:${lower}`,
+    });
+  }
+
+  if (percent < SIMILARITY_SETTING_MAX) {
+    const higher = Math.min(percent + SIMILARITY_SETTING_STEP, SIMILARITY_SETTING_MAX);
+    similarityRow.push({
+      text: `➕ ${formatPercent(locale, higher / 100, 0)}`,
+      callback_data: `set:similarity:${higher}`,
+    });
+  }
+
+  rows.push(resultsRow, [
+    {
+      text: t(locale, "settings.previews", { value: formatSwitch(settings.previews, locale) }),
+      callback_data: `set:previews:${settings.previews ? "off" : "on"}`,
+    },
+  ]);
+  rows.push(similarityRow);
+  rows.push(buildNsfwButtons(settings.nsfw, locale));
+
+  return { inline_keyboard: rows };
+}
+
+async function handleSettingsCommand(token, message, command, locale) {
+  const chatId = message.chat.id;
+  const [name, value] = command.args.toLowerCase().split(/\s+/).filter(Boolean);
+
+  if (!(await isChatAdmin(token, message.chat, message.from, message.sender_chat))) {
+    await safeReply(token, chatId, t(locale, "settings.adminOnly"));
+    return;
+  }
+
+  const settings = await getChatSettings(chatId);
+  if (!name) {
+    await sendMessage(token, {
+      chatId,
+      text: formatChatSettings(settings, message.chat, locale),
+      replyMarkup: buildSettingsKeyboard(settings, message.chat, locale),
+    });
+    return;
+  }
+
+  if (!CHAT_SETTING_NAMES.includes(name)) {
+    const usage = t(locale, "settings.usage", {
+      max: MAX_RESULTS,
+      maxSimilarity: SIMILARITY_SETTING_MAX,
+    });
+    await safeReply(token, chatId, usage);
+    return;
+  }
+
+  if (!value && name === "nsfw") {
+    await sendMessage(token, {
+      chatId,
+      text: t(locale, "settings.nsfwChoose"),
+      replyMarkup: buildNsfwKeyboard(settings.nsfw, locale),
+    });
+    return;
+  }
+
+  const patch = parseSettingUpdate(name, value);
+  if (!patch) {
+    const list = getSettingChoices(name);
+    await safeReply(token, chatId, t(locale, "settings.invalidValue", { list }));
+    return;
+  }
+
+  const updated = await updateChatSettings(chatId, patch);
+  const lines = formatSettingLines(updated, message.chat, locale);
+  await safeReply(token, chatId, [t(locale, "settings.updated"), ...lines].join("\n"));
+}
+
+async function handleSettingsCallback(token, query, locale) {
+  const [, name, value] = query.data.split(":");
+  const chat = query.message?.chat;
+  const patch = parseSettingUpdate(name, value);
+
+  if (!chat || !patch) {
+    await safeAnswerCallback(token, query.id);
+    return;
+  }
+
+  if (!(await isChatAdmin(token, chat, query.from))) {
+    await safeAnswerCallback(token, query.id, t(locale, "settings.adminOnly"), true);
+    return;
+  }
+
+  const settings = await updateChatSettings(chat.id, patch);
+  await safeAnswerCallback(token, query.id, t(locale, "settings.updated"));
+
+  try {
+    await editMessageText(token, {
+      chatId: chat.id,
+      messageId: query.message.message_id,
+      text: formatChatSettings(settings, chat, locale),
+      replyMarkup: buildSettingsKeyboard(settings, chat, locale),
+    });
+  } catch (error) {
+    logError("Failed to update settings message", error, { chatId: chat.id });
+  }
+}
+
+function buildLanguageKeyboard() {
+  return {
+    inline_keyboard: [
+      SUPPORTED_LOCALES.map((locale) => ({
+        text: getLocaleName(locale),
+        callback_data: `lang:${locale}`,
+      })),
+    ],
+  };
+}
+
+async function setUserLanguage(user, language) {
+  await getStorage().update("users", user.id, (existing) => ({
+    ...existing,
+    id: user.id,
+    language,
+  }));
+}
+
+async function handleLangCommand(token, message, command, locale) {
+  const chatId = message.chat.id;
+
+  if (!command.args || !message.from) {
+    await sendMessage(token, {
+      chatId,
+      text: t(locale, "lang.choose", { name: getLocaleName(locale) }),
+      replyMarkup: buildLanguageKeyboard(),
+    });
+    return;
+  }
+
+  if (!isSupportedLocale(command.args)) {
+    const list = SUPPORTED_LOCALES.map((code) => `${code} (${getLocaleName(code)})`).join(", ");
+    await safeReply(token, chatId, t(locale, "lang.unsupported", { list }));
+    return;
+  }
+
+  const language = resolveLocale(command.args);
+  await setUserLanguage(message.from, language);
+  await safeReply(token, chatId, t(language, "lang.changed", { name: getLocaleName(language) }));
+}
+
+async function handleLangCallback(token, query) {
+  const language = resolveLocale(query.data.slice("lang:".length));
+  const chatId = query.message?.chat?.id ?? null;
+  const text = t(language, "lang.changed", { name: getLocaleName(language) });
+
+  if (query.from) {
+    await setUserLanguage(query.from, language);
+  }
+
+  await safeAnswerCallback(token, query.id, text);
+
+  if (chatId !== null) {
+    try {
+      await editMessageText(token, { chatId, messageId: query.message.message_id, text });
+    } catch (error) {
+      logError("Failed to update language message", error, { chatId });
+    }
+  }
+}
+
+async function handleCallbackQuery(token, query, locale) {
+  if (query.data?.startsWith("hist:")) {
+    await handleHistoryCallback(token, query, locale);
+    return;
+  }
+
+  if (query.data?.startsWith("lang:")) {
+    await handleLangCallback(token, query);
+    return;
+  }
+
+  if (query.data?.startsWith("info:")) {
+    await handleInfoCallback(token, query, locale);
+    return;
+  }
+
+  if (query.data?.startsWith("set:")) {
+    await handleSettingsCallback(token, query, locale);
+    return;
+  }
+
+  if (query.data?.startsWith("sub:")) {
+    await handleSubscribeCallback(token, query, locale);
+    return;
+  }
+
+  if (query.data?.startsWith("unsub:")) {
+    await handleUnsubscribeCallback(token, query, locale);
+    return;
+  }
+
+  await handleResultCallback(token, query, locale);
+}
+
+function formatAnimeCard(media, locale) {
+  const notAvailable = t(locale, "notAvailable");
+  const title = pickMediaTitle(media.title) || notAvailable;
+  const altTitles = [media.title?.english, media.title?.native].filter(
+    (value, index, list) =>
+      typeof value === "string" && value.trim() && value !== title && list.indexOf(value) === index,
+  );
+  const lines = [`🎬 ${title}`];
+
+  if (altTitles.length > 0) {
+    lines.push(altTitles.join(" / "));
+  }
+
+  lines.push(
+    "",
+    t(locale, "anime.format", { value: media.format || notAvailable }),
+    t(locale, "anime.episodes", { value: media.episodes ?? notAvailable }),
+    t(locale, "anime.status", {
+      value: media.status ? t(locale, `anime.statuses.${media.status}`) : notAvailable,
+    }),
+    t(locale, "anime.year", { value: media.seasonYear ?? notAvailable }),
+    `${ANILIST_ANIME_URL}/${media.id}`,
+  );
+
+  return lines.join("\n");
+}
+
+function toInlineQueryResult(media, locale) {
+  const card = trimForTelegram(formatAnimeCard(media, locale), 1024);
+  const title = trimForTelegram(pickMediaTitle(media.title) || String(media.id), 200);
+  const episodeCount = media.episodes && t(locale, "anime.episodeCount", { count: media.episodes });
+  const description = [media.format, media.seasonYear, episodeCount].filter(Boolean).join(" • ");
+  const coverUrl = normalizePreviewUrl(media.coverImage?.large);
+  const thumbnailUrl = normalizePreviewUrl(media.coverImage?.medium) || coverUrl;
+  const replyMarkup = {
+    inline_keyboard: [
+      [{ text: t(locale, "buttons.anilist"), url: `${ANILIST_ANIME_URL}/${media.id}` }],
+    ],
+  };
+
+  if (coverUrl) {
+    return {
+      type: "photo",
+      id: `anime-${media.id}`,
+      photo_url: coverUrl,
+      thumbnail_url: thumbnailUrl,
+      title,
+      description,
+      caption: card,
+      reply_markup: replyMarkup,
+    };
+  }
+
+  return {
+    type: "article",
+    id: `anime-${media.id}`,
+    title,
+    description,
+    input_message_content: {
+      message_text: card,
+    },
+    reply_markup: replyMarkup,
+  };
+}
+
+function stripDescription(description) {
+  return String(description || "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&quot;/g, '"')
+    .replace(/&#039;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function formatSeason(media, locale) {
+  if (!media.season && !media.seasonYear) {
+    return t(locale, "notAvailable");
+  }
+
+  const season = media.season ? t(locale, `anime.seasons.${media.season}`) : "";
+  return [season, media.seasonYear].filter(Boolean).join(" ");
+}
+
+function formatAnimeDetails(media, locale, { maxLength = 3900 } = {}) {
+  const notAvailable = t(locale, "notAvailable");
+  const title = pickMediaTitle(media.title) || notAvailable;
+  const altTitles = [media.title?.english, media.title?.native].filter(
+    (value, index, list) =>
+      typeof value === "string" && value.trim() && value !== title && list.indexOf(value) === index,
+  );
+  const studios = (media.studios?.nodes || []).map((studio) => studio?.name).filter(Boolean);
+  const genres = Array.isArray(media.genres) ? media.genres.filter(Boolean) : [];
+  const lines = [`🎬 ${title}`];
+
+  if (altTitles.length > 0) {
+    lines.push(altTitles.join(" / "));
+  }
+
+  if (media.isAdult) {
+    lines.push(t(locale, "anime.adult"));
+  }
+
+  lines.push(
+    "",
+    t(locale, "anime.format", { value: media.format || notAvailable }),
+    t(locale, "anime.status", {
+      value: media.status ? t(locale, `anime.statuses.${media.status}`) : notAvailable,
+    }),
+    t(locale, "anime.season", { value: formatSeason(media, locale) }),
+    t(locale, "anime.episodes", {
+      value: media.episodes ? formatNumber(locale, media.episodes) : notAvailable,
+    }),
+    t(locale, "anime.studio", { value: studios.join(", ") || notAvailable }),
+    t(locale, "anime.score", {
+      value: Number.isFinite(media.averageScore)
+        ? t(locale, "anime.scoreValue", { score: formatNumber(locale, media.averageScore) })
+        : notAvailable,
+    }),
+    t(locale, "anime.genres", { value: genres.join(", ") || notAvailable }),
+  );
+
+  const footer = `${ANILIST_ANIME_URL}/${media.id}`;
+  const header = lines.join("\n");
+  const synopsis = stripDescription(media.description);
+  const room = maxLength - header.length - footer.length - 4;
+
+  if (synopsis && room > 40) {
+    return `${header}\n\n${trimForTelegram(synopsis, room)}\n\n${footer}`;
+  }
+
+  return `${header}\n\n${footer}`;
+}
+
+async function sendAnimeDetails(token, chatId, media, locale) {
+  const { nsfw } = await getChatSettings(chatId);
+  if (media.isAdult && nsfw === "hide") {
+    await sendMessage(token, { chatId, text: t(locale, "nsfw.hidden") });
+    return;
+  }
+
+  const showCover = !media.isAdult || nsfw === "spoiler";
+  const coverUrl = showCover
+    ? normalizePreviewUrl(media.coverImage?.extraLarge || media.coverImage?.large)
+    : null;
+  const replyMarkup = {
+    inline_keyboard: [
+      [{ text: t(locale, "buttons.anilist"), url: `${ANILIST_ANIME_URL}/${media.id}` }],
+    ],
+  };
+
+  if (coverUrl) {
+    try {
+      await sendPhoto(token, {
+        chatId,
+        photoUrl: coverUrl,
+        caption: formatAnimeDetails(media, locale, { maxLength: 1024 }),
+        replyMarkup,
+        hasSpoiler: media.isAdult === true,
+      });
+      return;
+    } catch (error) {
+      logError("Failed to send anime cover", error, { chatId, anilistId: media.id });
+    }
+  }
+
+  await sendMessage(token, { chatId, text: formatAnimeDetails(media, locale), replyMarkup });
+}
+
+async function handleInfoCommand(token, message, command, locale) {
+  const chatId = message.chat.id;
+  const query = command.args;
+
+  if (!query) {
+    await safeReply(token, chatId, t(locale, "info.usage"));
+    return;
+  }
+
+  const client = getAniListClient();
+  const media = /^\d+$/.test(query)
+    ? await client.getMedia(Number(query))
+    : await client.findMedia(query.slice(0, INLINE_QUERY_MAX_LENGTH));
+
+  if (!media) {
+    await safeReply(token, chatId, t(locale, "info.notFound", { query }));
+    return;
+  }
+
+  await sendAnimeDetails(token, chatId, media, locale);
+}
+
+async function handleInfoCallback(token, query, locale) {
+  const aniListId = Number(query.data.slice("info:".length));
+  const chatId = query.message?.chat?.id ?? null;
+
+  if (chatId === null || !Number.isInteger(aniListId) || aniListId <= 0) {
+    await safeAnswerCallback(token, query.id);
+    return;
+  }
+
+  try {
+    const media = await getAniListClient().getMedia(aniListId);
+    if (!media) {
+      await safeAnswerCallback(token, query.id, t(locale, "info.unavailable"), true);
+      return;
+    }
+
+    await sendAnimeDetails(token, chatId, media, locale);
+    await safeAnswerCallback(token, query.id);
+  } catch (error) {
+    logError("Failed to show anime details", error, { chatId, aniListId, code: error?.code });
+    await safeAnswerCallback(token, query.id, getErrorMessage(error, locale), true);
+  }
+}
+
+function getSubscriptionId(chatId, aniListId) {
+  return `${chatId}:${aniListId}`;
+}
+
+function parseAniListId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function formatNextAiring(subscription, locale) {
+  if (subscription.nextAiringAt === null || !Number.isInteger(subscription.nextEpisode)) {
+    return t(locale, "subscriptions.nextUnknown");
+  }
+
+  return t(locale, "subscriptions.nextEpisode", {
+    episode: formatNumber(locale, subscription.nextEpisode),
+    date: formatDateTime(locale, subscription.nextAiringAt),
+  });
+}
+
+async function listChatSubscriptions(chatId) {
+  const subscriptions = await getStorage().list(
+    SUBSCRIPTIONS_COLLECTION,
+    (subscription) => subscription.chatId === chatId,
+  );
+
+  return subscriptions.sort(
+    (left, right) =>
+      (left.nextAiringAt ?? Infinity) - (right.nextAiringAt ?? Infinity) ||
+      left.createdAt - right.createdAt,
+  );
+}
+
+async function subscribeChat(chatId, userId, aniListId, locale) {
+  const id = getSubscriptionId(chatId, aniListId);
+  const existing = await getStorage().get(SUBSCRIPTIONS_COLLECTION, id);
+  if (existing) {
+    return t(locale, "subscriptions.alreadySubscribed", { title: existing.title });
+  }
+
+  const subscriptions = await listChatSubscriptions(chatId);
+  if (subscriptions.length >= SUBSCRIPTIONS_MAX_PER_CHAT) {
+    return t(locale, "subscriptions.limit", { max: SUBSCRIPTIONS_MAX_PER_CHAT });
+  }
+
+  const media = (await getAiringSchedules([aniListId])).get(aniListId);
+  if (!media) {
+    return t(locale, "info.unavailable");
+  }
+
+  const title = pickMediaTitle(media.title) || String(aniListId);
+  if (hasAiringEnded(media)) {
+    return t(locale, "subscriptions.notAiring", { title });
+  }
+
+  const now = Date.now();
+  const next = getNextAiring(media);
+  const subscription = {
+    id,
+    chatId,
+    userId,
+    aniListId,
+    title,
+    locale,
+    nextEpisode: next?.episode ?? null,
+    nextAiringAt: next?.airingAt ?? null,
+    checkedAt: now,
+    createdAt: now,
+  };
+  await getStorage().put(SUBSCRIPTIONS_COLLECTION, id, subscription);
+
+  return [
+    t(locale, "subscriptions.subscribed", { title }),
+    formatNextAiring(subscription, locale),
+  ].join("\n");
+}
+
+async function unsubscribeChat(chatId, aniListId, locale) {
+  const id = getSubscriptionId(chatId, aniListId);
+  const existing = await getStorage().get(SUBSCRIPTIONS_COLLECTION, id);
+  if (!existing) {
+    return t(locale, "subscriptions.notSubscribed");
+  }
+
+  await getStorage().delete(SUBSCRIPTIONS_COLLECTION, id);
+  return t(locale, "subscriptions.unsubscribed", { title: existing.title });
+}
+
+function formatSubscriptionList(subscriptions, locale) {
+  if (subscriptions.length === 0) {
+    return { text: t(locale, "subscriptions.empty") };
+  }
+
+  const entries = subscriptions.map((subscription, index) =>
+    [
+      t(locale, "subscriptions.entry", {
+        index: index + 1,
+        title: subscription.title,
+        id: subscription.aniListId,
+      }),
+      `   ${formatNextAiring(subscription, locale)}`,
+    ].join("\n"),
+  );
+  const buttons = subscriptions.map((subscription, index) => ({
+    text: `🔕 ${index + 1}`,
+    callback_data: `unsub:${subscription.aniListId}`,
+  }));
+  const rows = [];
+  for (let index = 0; index < buttons.length; index += 5) {
+    rows.push(buttons.slice(index, index + 5));
+  }
+
+  return {
+    text: [
+      t(locale, "subscriptions.header"),
+      "",
+      ...entries,
+      "",
+      t(locale, "subscriptions.unsubscribeHint"),
+    ].join("\n"),
+    replyMarkup: { inline_keyboard: rows },
+  };
+}
+
+async function handleSubscriptionCommand(token, message, command, locale) {
+  const chatId = message.chat.id;
+
+  if (command.name === "subscriptions") {
+    const list = formatSubscriptionList(await listChatSubscriptions(chatId), locale);
+    await sendMessage(token, { chatId, ...list });
+    return;
+  }
+
+  const aniListId = parseAniListId(command.args);
+  if (!aniListId) {
+    await safeReply(token, chatId, t(locale, `subscriptions.${command.name}Usage`));
+    return;
+  }
+
+  if (command.name === "subscribe" && !isAiringAvailable()) {
+    await safeReply(token, chatId, t(locale, "subscriptions.unavailable"));
+    return;
+  }
+
+  if (!(await isChatAdmin(token, message.chat, message.from, message.sender_chat))) {
+    await safeReply(token, chatId, t(locale, "subscriptions.adminOnly"));
+    return;
+  }
+
+  const text =
+    command.name === "subscribe"
+      ? await subscribeChat(chatId, message.from?.id ?? null, aniListId, locale)
+      : await unsubscribeChat(chatId, aniListId, locale);
+  await safeReply(token, chatId, text);
+}
+
+async function handleSubscribeCallback(token, query, locale) {
+  const aniListId = parseAniListId(query.data.slice("sub:".length));
+  const chat = query.message?.chat;
+
+  if (!chat || !aniListId) {
+    await safeAnswerCallback(token, query.id);
+    return;
+  }
+
+  if (!isAiringAvailable()) {
+    await safeAnswerCallback(token, query.id, t(locale, "subscriptions.unavailable"), true);
+    return;
+  }
+
+  if (!(await isChatAdmin(token, chat, query.from))) {
+    await safeAnswerCallback(token, query.id, t(locale, "subscriptions.adminOnly"), true);
+    return;
+  }
+
+  try {
+    const text = await subscribeChat(chat.id, query.from?.id ?? null, aniListId, locale);
+    await safeAnswerCallback(token, query.id, text, true);
+  } catch (error) {
+    logError("Failed to subscribe chat", error, { chatId: chat.id, aniListId, code: error?.code });
+    await safeAnswerCallback(token, query.id, getErrorMessage(error, locale), true);
+  }
+}
+
+async function handleUnsubscribeCallback(token, query, locale) {
+  const aniListId = parseAniListId(query.data.slice("unsub:".length));
+  const chat = query.message?.chat;
+
+  if (!chat || !aniListId) {
+    await safeAnswerCallback(token, query.id);
+    return;
+  }
+
+  if (!(await isChatAdmin(token, chat, query.from))) {
+    await safeAnswerCallback(token, query.id, t(locale, "subscriptions.adminOnly"), true);
+    return;
+  }
+
+  await safeAnswerCallback(token, query.id, await unsubscribeChat(chat.id, aniListId, locale));
+
+  try {
+    const list = formatSubscriptionList(await listChatSubscriptions(chat.id), locale);
+    await editMessageText(token, { chatId: chat.id, messageId: query.message.message_id, ...list });
+  } catch (error) {
+    logError("Failed to update subscription list", error, { chatId: chat.id });
+  }
+}
+
+function formatAiredMessage(subscription, aired, ended) {
+  const { locale, title } = subscription;
+  const headline =
+    aired.from === aired.to
+      ? t(locale, "subscriptions.aired", { title, episode: formatNumber(locale, aired.to) })
+      : t(locale, "subscriptions.airedRange", {
+          title,
+          from: formatNumber(locale, aired.from),
+          to: formatNumber(locale, aired.to),
+        });
+
+  return [
+    headline,
+    ended ? t(locale, "subscriptions.ended") : formatNextAiring(subscription, locale),
+    `${ANILIST_ANIME_URL}/${subscription.aniListId}`,
+  ].join("\n");
+}
+
+async function checkSubscription(token, subscription, media, now) {
+  const { aired, next, ended } = diffAiringSchedule(subscription, media);
+  const updated = {
+    ...subscription,
+    title: pickMediaTitle(media.title) || subscription.title,
+    nextEpisode: next?.episode ?? (aired ? aired.to + 1 : subscription.nextEpisode),
+    nextAiringAt: next?.airingAt ?? null,
+    checkedAt: now,
+  };
+
+  if (aired) {
+    const text = formatAiredMessage(updated, aired, ended);
+    const delivery = await deliverMessage(token, subscription.chatId, text);
+    if (delivery === "skipped") {
+      await getStorage().deleteWhere(
+        SUBSCRIPTIONS_COLLECTION,
+        (entry) => entry.chatId === subscription.chatId,
+      );
+      return false;
+    }
+
+    if (delivery === "failed") {
+      return false;
+    }
+  }
+
+  if (ended) {
+    await getStorage().delete(SUBSCRIPTIONS_COLLECTION, subscription.id);
+  } else {
+    await getStorage().put(SUBSCRIPTIONS_COLLECTION, subscription.id, updated);
+  }
+
+  return Boolean(aired);
+}
+
+export function isAiringAvailable() {
+  return !process.env.VERCEL || getStorage().shared;
+}
+
+export async function checkAiringSubscriptions({ token }) {
+  const now = Date.now();
+  const due = await getStorage().list(SUBSCRIPTIONS_COLLECTION, (subscription) =>
+    isSubscriptionDue(subscription, now, AIRING_REFRESH_MS),
+  );
+  if (due.length === 0) {
+    return { checked: 0, notified: 0 };
+  }
+
+  const schedules = await getAiringSchedules(due.map((subscription) => subscription.aniListId));
+  let notified = 0;
+
+  for (const subscription of due) {
+    const media = schedules.get(subscription.aniListId);
+    if (!media) {
+      continue;
+    }
+
+    try {
+      if (await checkSubscription(token, subscription, media, now)) {
+        notified += 1;
+        await sleep(BROADCAST_INTERVAL_MS);
+      }
+    } catch (error) {
+      logError("Failed to check airing subscription", error, { id: subscription.id });
+    }
+  }
+
+  logInfo("Checked airing subscriptions", { checked: due.length, notified });
+  return { checked: due.length, notified };
+}
+
+async function handleInlineQuery(token, query, locale) {
+  const search = query.query.trim().slice(0, INLINE_QUERY_MAX_LENGTH);
+  const page = Math.max(Number.parseInt(query.offset || "1", 10) || 1, 1);
+
+  if (!search) {
+    await answerInlineQuery(token, { inlineQueryId: query.id, results: [] });
+    return;
+  }
+
+  let found;
+  try {
+    found = await searchAnime(search, { page, perPage: INLINE_RESULTS_PER_PAGE });
+  } catch (error) {
+    logError("Failed to search AniList for inline query", error, { search, page });
+    await answerInlineQuery(token, {
+      inlineQueryId: query.id,
+      results: [],
+      cacheTime: INLINE_ERROR_CACHE_TIME_SECONDS,
+    });
+    return;
+  }
+
+  await answerInlineQuery(token, {
+    inlineQueryId: query.id,
+    results: found.media.map((media) => toInlineQueryResult(media, locale)),
+    cacheTime: INLINE_CACHE_TIME_SECONDS,
+    isPersonal: true,
+    nextOffset: found.hasNextPage ? String(page + 1) : "",
+  });
+}
+
+function getAdminCommand(text) {
+  const command = parseCommand(text);
+  return command && ADMIN_COMMANDS.has(command.name) ? command : null;
+}
+
+function isBotAdmin(user) {
+  return Boolean(user) && getRateLimitConfig().adminIds.has(String(user.id));
+}
+
+function formatStatsMessage(summary, { chats, users, days }, locale) {
+  const lines = [
+    t(locale, "stats.header", { days: formatNumber(locale, days) }),
+    t(locale, "stats.audience", {
+      chats: formatNumber(locale, chats),
+      users: formatNumber(locale, users),
+    }),
+    t(locale, "stats.searches", {
+      total: formatNumber(locale, summary.total),
+      cached: formatNumber(locale, summary.cached),
+      hitRate:
+        summary.hitRate === null
+          ? t(locale, "notAvailable")
+          : formatPercent(locale, summary.hitRate),
+    }),
+    "",
+    t(locale, "stats.perDay"),
+    ...summary.perDay.map((entry) =>
+      t(locale, "stats.dayEntry", {
+        day: entry.day,
+        searches: formatNumber(locale, entry.searches),
+        cached: formatNumber(locale, entry.cached),
+      }),
+    ),
+    "",
+    t(locale, "stats.topTitles"),
+  ];
+
+  if (summary.topTitles.length === 0) {
+    lines.push(t(locale, "stats.none"));
+  }
+
+  summary.topTitles.forEach((entry, index) => {
+    lines.push(
+      t(locale, "stats.titleEntry", {
+        index: index + 1,
+        title: entry.label,
+        count: formatNumber(locale, entry.count),
+      }),
+    );
+  });
+
+  lines.push("", t(locale, "stats.errors"));
+  if (summary.errorCodes.length === 0) {
+    lines.push(t(locale, "stats.none"));
+  }
+
+  for (const entry of summary.errorCodes) {
+    const count = formatNumber(locale, entry.count);
+    lines.push(t(locale, "stats.errorEntry", { code: entry.label, count }));
+  }
+
+  return lines.join("\n");
+}
+
+async function handleStatsCommand(token, message, command, locale) {
+  const days = Number(command.args || STATS_DEFAULT_DAYS);
+  if (!Number.isInteger(days) || days < 1 || days > STATS_MAX_DAYS) {
+    await safeReply(token, message.chat.id, t(locale, "stats.usage", { max: STATS_MAX_DAYS }));
+    return;
+  }
+
+  const since = getStatsWindowStart(days);
+  const store = getStorage();
+  const [searches, errors, chats, users] = await Promise.all([
+    store.list("searches", (search) => search.createdAt >= since),
+    store.list("errors", (entry) => entry.createdAt >= since),
+    store.list("chats"),
+    store.list("users"),
+  ]);
+
+  const summary = summarizeActivity({ searches, errors, days });
+  await safeReply(
+    token,
+    message.chat.id,
+    formatStatsMessage(summary, { chats: chats.length, users: users.length, days }, locale),
+  );
+}
+
+async function handleBroadcastCommand(token, message, command, { locale, traceApiKey }) {
+  const chatId = message.chat.id;
+  const text = command.args || message.reply_to_message?.text || "";
+  if (!text) {
+    await safeReply(token, chatId, t(locale, "broadcast.usage"));
+    return;
+  }
+
+  const chats = await getStorage().list("chats");
+  const chatIds = chats.filter((chat) => !chat.blockedAt).map((chat) => chat.id);
+  const broadcastId = randomUUID();
+  await getStorage().put(BROADCASTS_COLLECTION, broadcastId, {
+    id: broadcastId,
+    chatId,
+    locale,
+    text,
+    chatIds,
+    cursor: 0,
+    report: { sent: 0, skipped: chats.length - chatIds.length, failed: 0 },
+    expiresAt: Date.now() + BROADCAST_TTL_MS,
+  });
+  await safeReply(
+    token,
+    chatId,
+    t(locale, "broadcast.queued", { count: formatNumber(locale, chatIds.length) }),
+  );
+  await enqueueBroadcastBatch(token, traceApiKey, broadcastId, 0);
+}
+
+async function enqueueBroadcastBatch(token, traceApiKey, broadcastId, cursor) {
+  await enqueueJob(token, traceApiKey, {
+    type: "broadcast",
+    key: "broadcast",
+    broadcastId,
+    cursor,
+  });
+}
+
+function isUnreachableChatError(error) {
+  return (
+    error?.status === 403 ||
+    (error?.status === 400 && /chat not found|chat was deactivated/i.test(error.description || ""))
+  );
+}
+
+async function markChatBlocked(chatId) {
+  try {
+    await getStorage().update("chats", chatId, (existing) =>
+      existing ? { ...existing, blockedAt: Date.now() } : existing,
+    );
+  } catch (error) {
+    logError("Failed to mark chat as blocked", error, { chatId });
+  }
+}
+
+async function deliverMessage(token, chatId, text) {
+  for (let attempt = 0; attempt < BROADCAST_MAX_ATTEMPTS; attempt += 1) {
+    try {
+      await sendMessage(token, { chatId, text });
+      return "sent";
+    } catch (error) {
+      if (isUnreachableChatError(error)) {
+        await markChatBlocked(chatId);
+        return "skipped";
+      }
+
+      if (error?.retryAfter && attempt < BROADCAST_MAX_ATTEMPTS - 1) {
+        await sleep(error.retryAfter * 1000);
+        continue;
+      }
+
+      logError("Failed to deliver message", error, { chatId });
+      return "failed";
+    }
+  }
+
+  return "failed";
+}
+
+function isBroadcastBatchCurrent(broadcast, job) {
+  return (
+    broadcast !== null &&
+    broadcast.cursor >= job.cursor &&
+    broadcast.cursor < job.cursor + BROADCAST_BATCH_SIZE
+  );
+}
+
+async function runBroadcastJob(job, { token, traceApiKey }) {
+  const storage = getStorage();
+  let broadcast = await storage.get(BROADCASTS_COLLECTION, job.broadcastId);
+  if (!isBroadcastBatchCurrent(broadcast, job)) {
+    return;
+  }
+
+  const batchEnd = Math.min(job.cursor + BROADCAST_BATCH_SIZE, broadcast.chatIds.length);
+  while (broadcast.cursor < batchEnd) {
+    const position = broadcast.cursor;
+    const outcome = await deliverMessage(token, broadcast.chatIds[position], broadcast.text);
+    broadcast = await storage.update(BROADCASTS_COLLECTION, job.broadcastId, (existing) =>
+      existing?.cursor === position
+        ? {
+            ...existing,
+            cursor: position + 1,
+            report: { ...existing.report, [outcome]: existing.report[outcome] + 1 },
+          }
+        : existing,
+    );
+    if (!isBroadcastBatchCurrent(broadcast, job) || broadcast.cursor !== position + 1) {
+      return;
+    }
+
+    await sleep(BROADCAST_INTERVAL_MS);
+  }
+
+  if (batchEnd < broadcast.chatIds.length) {
+    await enqueueBroadcastBatch(token, traceApiKey, job.broadcastId, batchEnd);
+    return;
+  }
+
+  let finished = null;
+  await storage.update(BROADCASTS_COLLECTION, job.broadcastId, (existing) => {
+    finished = existing?.cursor === batchEnd ? existing : null;
+    return finished ? null : existing;
+  });
+  if (!finished) {
+    return;
+  }
+
+  const { locale, report } = finished;
+  await safeReply(
+    token,
+    finished.chatId,
+    t(locale, "broadcast.done", {
+      sent: formatNumber(locale, report.sent),
+      skipped: formatNumber(locale, report.skipped),
+      failed: formatNumber(locale, report.failed),
+    }),
+  );
+}
+
+async function measureCheck(check) {
+  const startedAt = Date.now();
+  try {
+    await check();
+    return { ok: true, latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    return { ok: false, error };
+  }
+}
+
+function formatCheckResult(name, result, locale) {
+  return result.ok
+    ? t(locale, "health.ok", { name, ms: formatNumber(locale, result.latencyMs) })
+    : t(locale, "health.failed", { name, error: result.error?.message || String(result.error) });
+}
+
+async function handleHealthCommand(token, message, { locale, traceApiKey }) {
+  const router = getSearchRouter(traceApiKey);
+  const queue = getJobQueue({ token, traceApiKey });
+  const [telegram, providers, depth] = await Promise.all([
+    measureCheck(() => getMe(token)),
+    Promise.all(
+      router.providers
+        .filter((provider) => typeof provider.ping === "function")
+        .map(async (provider) => ({
+          name: formatProviderName(provider.id, locale),
+          result: await measureCheck(() => provider.ping()),
+        })),
+    ),
+    queue.size().catch((error) => {
+      logError("Failed to read job queue size", error);
+      return null;
+    }),
+  ]);
+
+  const lines = [
+    t(locale, "health.header"),
+    formatCheckResult("Telegram", telegram, locale),
+    ...providers.map(({ name, result }) => formatCheckResult(name, result, locale)),
+    depth
+      ? t(locale, "health.queue", {
+          backend: queue.backend,
+          active: formatNumber(locale, depth.active),
+          pending: formatNumber(locale, depth.pending),
+        })
+      : t(locale, "health.queueUnavailable", { backend: queue.backend }),
+  ];
+
+  await safeReply(token, message.chat.id, lines.join("\n"));
+}
+
+async function handleAdminCommand(token, message, command, context) {
+  if (!isBotAdmin(message.from)) {
+    await safeReply(token, message.chat.id, t(context.locale, "admin.only"));
+    return;
+  }
+
+  if (command.name === "stats") {
+    await handleStatsCommand(token, message, command, context.locale);
+    return;
+  }
+
+  if (command.name === "broadcast") {
+    await handleBroadcastCommand(token, message, command, context);
+    return;
+  }
+
+  await handleHealthCommand(token, message, context);
+}
+
+async function claimUpdate(updateId) {
+  const now = Date.now();
+  let duplicate = false;
+
+  try {
+    await getStorage().update("processedUpdates", updateId, (existing) => {
+      duplicate = Boolean(existing);
+      return (
+        existing ?? { id: updateId, status: "processing", expiresAt: now + UPDATE_CLAIM_TTL_MS }
+      );
+    });
+  } catch (error) {
+    logError("Failed to claim update", error, { updateId });
+  }
+
+  return !duplicate;
+}
+
+async function completeUpdate(updateId) {
+  try {
+    await getStorage().put("processedUpdates", updateId, {
+      id: updateId,
+      status: "done",
+      expiresAt: Date.now() + PROCESSED_UPDATE_TTL_MS,
+    });
+  } catch (error) {
+    logError("Failed to record processed update", error, { updateId });
+  }
+}
+
+async function getBotProfile(token) {
+  botProfile ??= getMe(token).catch((error) => {
+    botProfile = null;
+    logError("Failed to load bot profile", error);
+    return null;
+  });
+
+  const profile = await botProfile;
+  const id = profile?.id ?? Number.parseInt(String(token).split(":")[0], 10);
+  return {
+    id: Number.isInteger(id) ? id : null,
+    username: profile?.username?.toLowerCase() || null,
+  };
+}
+
+function isBotMentioned(message, bot) {
+  const text = message.text ?? message.caption ?? "";
+  const entities = message.entities ?? message.caption_entities ?? [];
+
+  return entities.some((entity) => {
+    if (entity.type === "text_mention") {
+      return bot.id !== null && entity.user?.id === bot.id;
+    }
+
+    const mention = text.slice(entity.offset, entity.offset + entity.length).toLowerCase();
+    return entity.type === "mention" && bot.username !== null && mention === `@${bot.username}`;
+  });
+}
+
+async function isCommandForOtherBot(token, command) {
+  if (!command?.target) {
+    return false;
+  }
+
+  const bot = await getBotProfile(token);
+  return bot.username !== null && command.target !== bot.username;
+}
+
+async function getGroupTrigger(token, message) {
+  if (isSearchCommand(message.text || message.caption)) {
+    return "command";
+  }
+
+  const bot = await getBotProfile(token);
+  if (isBotMentioned(message, bot)) {
+    return "mention";
+  }
+
+  if (bot.id !== null && message.reply_to_message?.from?.id === bot.id) {
+    return "reply";
+  }
+
+  return null;
+}
+
+async function safeReply(token, chatId, text) {
+  try {
+    await sendMessage(token, { chatId, text });
+  } catch (error) {
+    logError("Failed to send Telegram message", error, { chatId });
+  }
+}
+
+function getErrorMessage(error, locale) {
+  if (error instanceof ProcessingError) {
+    if (error.code === "IMAGE_TOO_LARGE") {
+      return formatImageTooLargeMessage(locale, error.details?.limitBytes);
+    }
+
+    if (error.code === "TELEGRAM_DOWNLOAD_FAILED") {
+      return t(locale, "errors.telegramDownload");
+    }
+
+    if (error.code === "IMAGE_URL_FAILED") {
+      return t(locale, "errors.imageUrl");
+    }
+
+    if (error.code === "TRACE_API_FAILURE") {
+      return t(locale, "errors.traceApi");
+    }
+
+    if (error.code === "TRACE_LIMIT_REACHED") {
+      return t(locale, "errors.traceLimit");
+    }
+
+    if (error.code === "TRACE_INVALID_RESPONSE") {
+      return t(locale, "errors.traceResponse");
+    }
+
+    if (error.code === "TRACE_ME_FAILURE") {
+      return t(locale, "errors.traceMe");
+    }
+
+    if (error.code === "SAUCENAO_API_FAILURE") {
+      return t(locale, "errors.saucenaoApi");
+    }
+
+    if (error.code === "SAUCENAO_LIMIT_REACHED") {
+      return t(locale, "errors.saucenaoLimit");
+    }
+
+    if (error.code === "SAUCENAO_INVALID_RESPONSE") {
+      return t(locale, "errors.saucenaoResponse");
+    }
+
+    if (error.code === "NO_SEARCH_PROVIDER") {
+      return t(locale, "errors.noProvider");
+    }
+
+    if (error.code === "ANILIST_API_FAILURE") {
+      return t(locale, "errors.anilistApi");
+    }
+
+    if (error.code === "ANILIST_LIMIT_REACHED") {
+      return t(locale, "errors.anilistLimit");
+    }
+
+    if (error.code === "TIMEOUT") {
+      return t(locale, "errors.timeout");
+    }
+
+    if (error.code === "RATE_LIMITED") {
+      return formatRateLimitMessage(error.details, locale);
+    }
+  }
+
+  if (isTimeoutError(error)) {
+    return t(locale, "errors.timeout");
+  }
+
+  return t(locale, "errors.generic");
+}
+
+async function sendErrorByType(token, chatId, error, locale) {
+  await safeReply(token, chatId, getErrorMessage(error, locale));
+}
+
+async function downloadTelegramMedia(token, media) {
+  const startedAt = Date.now();
+  const sizeDetails = { limitBytes: media.limitBytes };
+  if (media.fileSize && media.fileSize > media.limitBytes) {
+    throw new ProcessingError("IMAGE_TOO_LARGE", "Media exceeded size limit", undefined, sizeDetails);
+  }
+
+  let fileMeta;
+  try {
+    fileMeta = await getFile(token, { fileId: media.fileId });
+  } catch (error) {
+    if (isTimeoutError(error)) {
+      throw new ProcessingError("TIMEOUT", "Telegram getFile timeout", error);
+    }
+
+    throw new ProcessingError("TELEGRAM_DOWNLOAD_FAILED", "Telegram getFile failed", error);
+  }
+
+  if (!fileMeta?.file_path) {
+    throw new ProcessingError("TELEGRAM_DOWNLOAD_FAILED", "Telegram file path was not returned");
+  }
+
+  let buffer;
+  try {
+    buffer = await downloadFileBuffer(token, {
+      filePath: fileMeta.file_path,
+      timeoutMs: TELEGRAM_DOWNLOAD_TIMEOUT_MS,
+    });
+  } catch (error) {
+    if (isTimeoutError(error)) {
+      throw new ProcessingError("TIMEOUT", "Telegram file download timeout", error);
+    }
+
+    throw new ProcessingError("TELEGRAM_DOWNLOAD_FAILED", "Telegram file download failed", error);
+  }
+
+  if (!buffer || buffer.length === 0) {
+    throw new ProcessingError("TELEGRAM_DOWNLOAD_FAILED", "Downloaded image is empty");
+  }
+
+  if (buffer.length > media.limitBytes) {
+    throw new ProcessingError(
+      "IMAGE_TOO_LARGE",
+      "Downloaded media exceeded size limit",
+      undefined,
+      sizeDetails,
+    );
+  }
+
+  const mimeType = detectMimeType(buffer) || media.mimeType;
+  logDebug("Downloaded Telegram media", {
+    bytes: buffer.length,
+    mimeType,
+    durationMs: Date.now() - startedAt,
+  });
+  return { buffer, mimeType };
+}
+
+export function getStorage() {
+  if (storage) {
+    return storage;
+  }
+
+  try {
+    storage = createStorageFromEnv(process.env);
+  } catch (error) {
+    logError("Invalid storage configuration, falling back to memory", error);
+    storage = createMemoryStorage();
+  }
+
+  return storage;
+}
+
+async function recordUser(user) {
+  if (!user || user.is_bot) {
+    return null;
+  }
+
+  const now = Date.now();
+  return getStorage().update("users", user.id, (existing) => ({
+    ...existing,
+    id: user.id,
+    username: user.username ?? existing?.username ?? null,
+    firstName: user.first_name ?? existing?.firstName ?? null,
+    languageCode: user.language_code ?? existing?.languageCode ?? null,
+    firstSeenAt: existing?.firstSeenAt ?? now,
+    lastSeenAt: now,
+  }));
+}
+
+async function recordChat(chat) {
+  const now = Date.now();
+  await getStorage().update("chats", chat.id, (existing) => ({
+    ...existing,
+    id: chat.id,
+    type: chat.type ?? existing?.type ?? null,
+    title: chat.title ?? existing?.title ?? null,
+    blockedAt: null,
+    firstSeenAt: existing?.firstSeenAt ?? now,
+    lastSeenAt: now,
+  }));
+}
+
+async function recordActivity(message) {
+  try {
+    await recordChat(message.chat);
+    return await recordUser(message.from);
+  } catch (error) {
+    logError("Failed to record chat activity", error, { chatId: message.chat?.id });
+    return null;
+  }
+}
+
+async function loadUserLocale(user) {
+  if (!user) {
+    return resolveLocale();
+  }
+
+  try {
+    const stored = await getStorage().get("users", user.id);
+    return resolveLocale(stored?.language, user.language_code);
+  } catch (error) {
+    logError("Failed to load user language", error, { userId: user.id });
+    return resolveLocale(user.language_code);
+  }
+}
+
+function toSearchSummary(result) {
+  return {
+    anilistId: getAniListId(result),
+    title: pickAnimeTitle(result),
+    episode: result?.episode ?? null,
+    similarity: toSafeNumber(result?.similarity),
+    from: toSafeNumber(result?.from),
+    to: toSafeNumber(result?.to),
+  };
+}
+
+async function recordSearch({ chatId, userId }, source, { results, cached }) {
+  const now = Date.now();
+  const search = {
+    id: randomUUID(),
+    chatId,
+    userId,
+    sourceType: source.type,
+    fileUniqueId: source.media?.fileUniqueId ?? null,
+    url: source.url ?? null,
+    cached,
+    resultCount: results.length,
+    topResult: results.length > 0 ? toSearchSummary(results[0]) : null,
+    results,
+    createdAt: now,
+    expiresAt: now + STATS_RETENTION_MS,
+  };
+
+  try {
+    await getStorage().put("searches", search.id, search);
+    if (search.userId !== null) {
+      await getStorage().update("users", search.userId, (user) =>
+        user ? { ...user, searchCount: (user.searchCount || 0) + 1 } : user,
+      );
+    }
+  } catch (error) {
+    logError("Failed to record search", error, { chatId: search.chatId });
+  }
+}
+
+async function recordError(error, { chatId = null, userId = null } = {}) {
+  const now = Date.now();
+  const entry = {
+    id: randomUUID(),
+    code: error?.code || (isTimeoutError(error) ? "TIMEOUT" : "UNKNOWN"),
+    chatId,
+    userId,
+    createdAt: now,
+    expiresAt: now + STATS_RETENTION_MS,
+  };
+  metrics.errors.inc({ code: entry.code });
+
+  try {
+    await getStorage().put("errors", entry.id, entry);
+  } catch (storageError) {
+    logError("Failed to record error", storageError, { chatId });
+  }
+}
+
+function getQualityConfig() {
+  qualityConfig ??= loadQualityConfig(process.env);
+  return qualityConfig;
+}
+
+function getVideoConfig() {
+  videoConfig ??= loadVideoConfig(process.env);
+  return videoConfig;
+}
+
+function getMediaSizeLimit(kind) {
+  if (kind === "video") {
+    return Math.min(getVideoConfig().maxBytes, TELEGRAM_MAX_DOWNLOAD_BYTES);
+  }
+
+  return TELEGRAM_MAX_DOWNLOAD_BYTES;
+}
+
+function getRateLimitConfig() {
+  rateLimitConfig ??= loadRateLimitConfig(process.env);
+  return rateLimitConfig;
+}
+
+async function readSearchQuotaRemaining({ userId, chatId }) {
+  try {
+    return await getRateLimitRemaining(getStorage(), getRateLimitConfig(), { userId, chatId });
+  } catch (error) {
+    logError("Failed to read rate limit", error, { chatId });
+    return Infinity;
+  }
+}
+
+async function consumeSearchQuota({ userId, chatId, cost = 1 }) {
+  let rateLimit;
+  try {
+    rateLimit = await consumeRateLimit(getStorage(), getRateLimitConfig(), {
+      userId,
+      chatId,
+      cost,
+    });
+  } catch (error) {
+    logError("Failed to check rate limit", error, { chatId });
+    return;
+  }
+
+  if (!rateLimit.allowed) {
+    throw new ProcessingError("RATE_LIMITED", "Search rate limit reached", null, rateLimit);
+  }
+}
+
+function formatRateLimitMessage({ scope, window, limit, resetAt }, locale) {
+  const minutes = Math.max(Math.ceil((resetAt - Date.now()) / 60_000), 1);
+  const clock = new Date(resetAt).toISOString().slice(11, 16);
+
+  return [
+    t(locale, scope === "chat" ? "rateLimit.chat" : "rateLimit.user", {
+      limit: formatNumber(locale, limit),
+      window: t(locale, `rateLimit.windows.${window}`),
+    }),
+    t(locale, "rateLimit.retry", { minutes: formatNumber(locale, minutes), clock }),
+  ].join("\n");
+}
+
+export function getCacheStore() {
+  if (cacheStore) {
+    return cacheStore;
+  }
+
+  try {
+    cacheStore = createCacheStoreFromEnv(process.env);
+  } catch (error) {
+    logError("Invalid result cache configuration, falling back to memory", error);
+    cacheStore = createMemoryCacheStore();
+  }
+
+  return cacheStore;
+}
+
+function getResultCache() {
+  if (resultCache) {
+    return resultCache;
+  }
+
+  const ttlSeconds = Number.parseInt(process.env.RESULT_CACHE_TTL_SECONDS || "", 10);
+  resultCache = createResultCache(getCacheStore(), ttlSeconds > 0 ? { ttlSeconds } : undefined);
+  return resultCache;
+}
+
+function getAniListClient() {
+  aniListClient ??= createAniListClient({ store: getCacheStore() });
+  return aniListClient;
+}
+
+async function readResultCache(read) {
+  try {
+    return await read();
+  } catch (error) {
+    logError("Failed to read result cache", error);
+    return null;
+  }
+}
+
+async function writeResultCache(keys, results) {
+  try {
+    await getResultCache().save(keys, results);
+  } catch (error) {
+    logError("Failed to write result cache", error, keys);
+  }
+}
+
+async function prepareSearchMedia(media) {
+  if (getMediaKind(media.mimeType) !== "image") {
+    return media;
+  }
+
+  let prepared = media;
+  try {
+    const processed = await preprocessImage(media.buffer);
+    logDebug("Preprocessed image", {
+      bytes: media.buffer.length,
+      processedBytes: processed.buffer.length,
+      mimeType: media.mimeType,
+      original: processed.original,
+      crop: processed.crop,
+      width: processed.width,
+      height: processed.height,
+    });
+    prepared = { buffer: processed.buffer, mimeType: processed.mimeType };
+  } catch (error) {
+    logError("Failed to preprocess image", error, { mimeType: media.mimeType });
+  }
+
+  if (prepared.buffer.length > MAX_IMAGE_SIZE_BYTES) {
+    throw new ProcessingError("IMAGE_TOO_LARGE", "Image exceeded size limit", undefined, {
+      limitBytes: MAX_IMAGE_SIZE_BYTES,
+    });
+  }
+
+  return prepared;
+}
+
+async function computeMediaHash(media) {
+  if (getMediaKind(media.mimeType) !== "image") {
+    return null;
+  }
+
+  try {
+    return await computeImageHash(media.buffer);
+  } catch (error) {
+    logError("Failed to compute image hash", error, { mimeType: media.mimeType });
+    return null;
+  }
+}
+
+function getSearchRouter(traceApiKey) {
+  if (searchRouter) {
+    return searchRouter;
+  }
+
+  let providers;
+  try {
+    providers = createSearchProvidersFromEnv(process.env, { traceApiKey });
+  } catch (error) {
+    logError("Invalid search provider configuration, falling back to Trace.moe", error);
+    providers = createSearchProvidersFromEnv(
+      { ...process.env, SEARCH_PROVIDERS: "tracemoe" },
+      { traceApiKey },
+    );
+  }
+
+  searchRouter = createSearchRouter(providers);
+  return searchRouter;
+}
+
+async function runProviderSearch(source, { apiKey, chatId }) {
+  const { results } = await getSearchRouter(apiKey).search(source, { queueKey: chatId });
+  return results.slice(0, MAX_RESULTS);
+}
+
+async function searchFrame(frame, { apiKey, chatId }) {
+  const media = await prepareSearchMedia({ buffer: frame.buffer, mimeType: "image/jpeg" });
+  return { offset: frame.offset, results: await runProviderSearch(media, { apiKey, chatId }) };
+}
+
+async function runQuotaSearch(media, { apiKey, chatId, userId }) {
+  await consumeSearchQuota({ userId, chatId });
+  return runProviderSearch(media, { apiKey, chatId });
+}
+
+async function searchVideoFrames(media, { apiKey, chatId, userId }) {
+  const { frameCount: maxFrames, ffmpegPath, ffprobePath } = getVideoConfig();
+  const frameCount = Math.min(maxFrames, await readSearchQuotaRemaining({ userId, chatId }));
+  if (frameCount === 0) {
+    return runQuotaSearch(media, { apiKey, chatId, userId });
+  }
+
+  let frames = [];
+  try {
+    ({ frames } = await extractKeyframes(media.buffer, { frameCount, ffmpegPath, ffprobePath }));
+  } catch (error) {
+    if (error?.code !== "FFMPEG_UNAVAILABLE") {
+      logError("Failed to extract video keyframes", error, { mimeType: media.mimeType });
+    }
+  }
+
+  if (frames.length === 0) {
+    return runQuotaSearch(media, { apiKey, chatId, userId });
+  }
+
+  await consumeSearchQuota({ userId, chatId, cost: frames.length });
+
+  const outcomes = await Promise.allSettled(
+    frames.map((frame) => searchFrame(frame, { apiKey, chatId })),
+  );
+  const searched = outcomes
+    .filter((outcome) => outcome.status === "fulfilled")
+    .map((outcome) => outcome.value);
+  if (searched.length === 0) {
+    throw outcomes[0].reason;
+  }
+
+  logDebug("Searched video keyframes", { frames: frames.length, searched: searched.length });
+  return aggregateFrameResults(searched).slice(0, MAX_RESULTS);
+}
+
+async function findSearchResults(token, source, { apiKey, chatId, userId }) {
+  if (source.type === "url") {
+    const results = await runQuotaSearch({ url: source.url }, { apiKey, chatId, userId });
+    return { results, cached: false };
+  }
+
+  const cache = getResultCache();
+  const keys = { fileUniqueId: source.media.fileUniqueId, imageHash: null };
+
+  const byFileId = await readResultCache(() => cache.getByFileId(keys.fileUniqueId));
+  if (byFileId) {
+    return { results: normalizeStoredResults(byFileId.results), cached: true };
+  }
+
+  const media = await prepareSearchMedia(await downloadTelegramMedia(token, source.media));
+  keys.imageHash = await computeMediaHash(media);
+
+  const byImageHash = await readResultCache(() => cache.getByImageHash(keys.imageHash));
+  if (byImageHash) {
+    const results = normalizeStoredResults(byImageHash.results);
+    await writeResultCache({ fileUniqueId: keys.fileUniqueId }, results);
+    return { results, cached: true };
+  }
+
+  const results =
+    getMediaKind(media.mimeType) === "video"
+      ? await searchVideoFrames(media, { apiKey, chatId, userId })
+      : await runQuotaSearch(media, { apiKey, chatId, userId });
+
+  if (results.length > 0) {
+    await writeResultCache(keys, results);
+  }
+
+  return { results, cached: false };
+}
+
+async function sendSearchPlaceholder(token, chatId, locale) {
+  try {
+    await sendChatAction(token, { chatId, action: "typing" });
+    const sent = await sendMessage(token, { chatId, text: t(locale, "searching") });
+    return sent?.message_id ?? null;
+  } catch (error) {
+    logError("Failed to send search placeholder", error, { chatId });
+    return null;
+  }
+}
+
+async function replaceSearchPlaceholder(token, job, text) {
+  if (job.placeholderMessageId) {
+    try {
+      await editMessageText(token, {
+        chatId: job.chatId,
+        messageId: job.placeholderMessageId,
+        text,
+      });
+      return;
+    } catch (error) {
+      logError("Failed to edit search placeholder", error, { chatId: job.chatId });
+    }
+  }
+
+  await safeReply(token, job.chatId, text);
+}
+
+async function removeSearchPlaceholder(token, job) {
+  if (!job.placeholderMessageId) {
+    return;
+  }
+
+  try {
+    await deleteMessage(token, { chatId: job.chatId, messageId: job.placeholderMessageId });
+  } catch (error) {
+    logError("Failed to delete search placeholder", error, { chatId: job.chatId });
+  }
+}
+
+function recordSearchOutcome(job, outcome, startedAt, source = job.source) {
+  const durationMs = Date.now() - startedAt;
+  metrics.searches.inc({ outcome });
+  metrics.searchDuration.observe({ outcome }, durationMs / 1000);
+  logInfo("Search finished", {
+    outcome,
+    durationMs,
+    queuedMs: job.createdAt ? startedAt - job.createdAt : null,
+    sourceType: source.type,
+  });
+}
+
+async function runSearchJob(job, { token, traceApiKey }) {
+  const { chatId, locale, source } = job;
+  const startedAt = Date.now();
+
+  try {
+    const { results, cached } = await findSearchResults(token, source, {
+      apiKey: traceApiKey,
+      chatId,
+      userId: job.userId,
+    });
+    await recordSearch({ chatId, userId: job.userId }, source, { results, cached });
+
+    if (results.length === 0) {
+      recordSearchOutcome(job, "empty", startedAt);
+      await replaceSearchPlaceholder(token, job, withImageGuidelines(locale, "noResults"));
+      return;
+    }
+
+    recordSearchOutcome(job, cached ? "cached" : "found", startedAt);
+
+    await sendResultCard(token, chatId, results, {
+      locale,
+      noteKey: cached ? "results.cacheHitNote" : null,
+    });
+    await removeSearchPlaceholder(token, job);
+  } catch (error) {
+    logError("Failed to process search job", error, { chatId, code: error?.code });
+    recordSearchOutcome(job, "error", startedAt);
+    await recordError(error, { chatId, userId: job.userId });
+    await replaceSearchPlaceholder(token, job, getErrorMessage(error, locale));
+  }
+}
+
+function getAlbumId(message) {
+  return message.media_group_id ? `${message.chat.id}:${message.media_group_id}` : null;
+}
+
+async function handleAlbumItem(token, message, source, { active, locale, traceApiKey }) {
+  const id = getAlbumId(message);
+  const chatId = message.chat.id;
+  const now = Date.now();
+  let scheduling = false;
+
+  const album = await getStorage().update(ALBUMS_COLLECTION, id, (existing) => {
+    const albumActive = active || Boolean(existing?.active);
+    scheduling =
+      albumActive && !existing?.queued && (existing?.items.length ?? 0) < ALBUM_MAX_ITEMS;
+    return {
+      id,
+      chatId,
+      userId: existing?.userId ?? message.from?.id ?? null,
+      active: albumActive,
+      queued: Boolean(existing?.queued) || scheduling,
+      answered: existing?.answered ?? 0,
+      cardMessageId: existing?.cardMessageId ?? null,
+      items: [...(existing?.items ?? []), { messageId: message.message_id ?? null, source }],
+      createdAt: existing?.createdAt ?? now,
+      expiresAt: (existing?.createdAt ?? now) + ALBUM_TTL_MS,
+    };
+  });
+
+  if (!scheduling) {
+    return;
+  }
+
+  const followUp = album.answered > 0;
+  await enqueueAlbumJob(token, traceApiKey, album, {
+    locale,
+    placeholderMessageId: followUp ? null : await sendSearchPlaceholder(token, chatId, locale),
+  });
+}
+
+async function enqueueAlbumJob(token, traceApiKey, album, { locale, placeholderMessageId = null }) {
+  await enqueueJob(token, traceApiKey, {
+    type: "album",
+    key: album.chatId,
+    chatId: album.chatId,
+    userId: album.userId,
+    locale,
+    albumId: album.id,
+    runAt: Date.now() + ALBUM_WINDOW_MS,
+    placeholderMessageId,
+  });
+}
+
+async function searchAlbumItem(job, item, { token, traceApiKey }) {
+  const startedAt = Date.now();
+
+  try {
+    const found = await findSearchResults(token, item.source, {
+      apiKey: traceApiKey,
+      chatId: job.chatId,
+      userId: job.userId,
+    });
+    await recordSearch({ chatId: job.chatId, userId: job.userId }, item.source, found);
+    const outcome = found.results.length === 0 ? "empty" : found.cached ? "cached" : "found";
+    recordSearchOutcome(job, outcome, startedAt, item.source);
+    return found;
+  } catch (error) {
+    logError("Failed to search album item", error, { chatId: job.chatId, code: error?.code });
+    recordSearchOutcome(job, "error", startedAt, item.source);
+    await recordError(error, { chatId: job.chatId, userId: job.userId });
+    throw error;
+  }
+}
+
+async function answerAlbum(token, job, album, searched) {
+  const { chatId, locale } = job;
+  const results = combineAlbumResults(searched.map((found) => found.results)).slice(
+    0,
+    MAX_RESULTS,
+  );
+  const noteKey = searched.every((found) => found.cached) ? "results.cacheHitNote" : null;
+
+  if (
+    album.cardMessageId &&
+    (await updateResultCard(token, chatId, album.cardMessageId, results, { noteKey }))
+  ) {
+    return album.cardMessageId;
+  }
+
+  if (results.length === 0) {
+    if (album.answered === 0) {
+      await replaceSearchPlaceholder(token, job, withImageGuidelines(locale, "noResults"));
+    }
+
+    return null;
+  }
+
+  const cardMessageId = await sendResultCard(token, chatId, results, { locale, noteKey });
+  await removeSearchPlaceholder(token, job);
+  return cardMessageId;
+}
+
+async function runAlbumJob(job, context) {
+  const album = await getStorage().get(ALBUMS_COLLECTION, job.albumId);
+  if (!album) {
+    await removeSearchPlaceholder(context.token, job);
+    return;
+  }
+
+  const items = [...album.items]
+    .sort((left, right) => (left.messageId ?? 0) - (right.messageId ?? 0))
+    .slice(0, ALBUM_MAX_ITEMS);
+  const outcomes = await Promise.allSettled(
+    items.map((item) => searchAlbumItem(job, item, context)),
+  );
+  const searched = outcomes
+    .filter((outcome) => outcome.status === "fulfilled")
+    .map((outcome) => outcome.value);
+
+  if (searched.length === 0) {
+    const error = outcomes[0]?.reason ?? new Error("Album had no items");
+    await getStorage().update(ALBUMS_COLLECTION, job.albumId, (existing) =>
+      existing ? { ...existing, queued: false } : existing,
+    );
+    await replaceSearchPlaceholder(context.token, job, getErrorMessage(error, job.locale));
+    return;
+  }
+
+  const cardMessageId = await answerAlbum(context.token, job, album, searched);
+  const now = Date.now();
+  let more = false;
+  const answered = await getStorage().update(ALBUMS_COLLECTION, job.albumId, (existing) => {
+    more = false;
+    if (!existing) {
+      return existing;
+    }
+
+    more = existing.items.length > items.length && items.length < ALBUM_MAX_ITEMS;
+    return {
+      ...existing,
+      queued: more,
+      answered: items.length,
+      cardMessageId: cardMessageId ?? existing.cardMessageId,
+      expiresAt: Math.min(existing.expiresAt, now + ALBUM_LATE_ITEM_MS),
+    };
+  });
+
+  if (more) {
+    await enqueueAlbumJob(context.token, context.traceApiKey, answered, { locale: job.locale });
+  }
+}
+
+async function dispatchJob(job, context) {
+  if (job.type === "search") {
+    await runSearchJob(job, context);
+    return;
+  }
+
+  if (job.type === "album") {
+    await runAlbumJob(job, context);
+    return;
+  }
+
+  if (job.type === "broadcast") {
+    await runBroadcastJob(job, context);
+    return;
+  }
+
+  logError("Unknown job type", new Error("Unsupported job"), { type: job.type });
+}
+
+async function runJob(job, context) {
+  const correlationId = job.correlationId || createCorrelationId();
+  return runWithLogContext({ correlationId, jobId: job.id, jobType: job.type }, () =>
+    dispatchJob(job, context),
+  );
+}
+
+async function enqueueJob(token, traceApiKey, job) {
+  await getJobQueue({ token, traceApiKey }).enqueue({
+    ...job,
+    correlationId: getLogContext().correlationId ?? null,
+  });
+}
+
+export function getJobQueue({ token, traceApiKey = "" }) {
+  if (jobQueue) {
+    return jobQueue;
+  }
+
+  const handler = (job) => runJob(job, { token, traceApiKey });
+  try {
+    jobQueue = createJobQueueFromEnv(process.env, { handler, storage: getStorage() });
+  } catch (error) {
+    logError("Invalid job queue configuration, falling back to memory", error);
+    jobQueue = createMemoryJobQueue({ handler });
+  }
+
+  return jobQueue;
+}
+
+export function parseUpdate(body) {
+  return TelegramUpdateSchema.safeParse(body);
+}
+
+function getUpdateType(update) {
+  return UPDATE_TYPES.find((type) => update[type]) || "unknown";
+}
+
+async function handleUpdate(update, { token, traceApiKey = "" }) {
+  let chatId = null;
+  let locale = resolveLocale();
+  let claimedUpdateId = null;
+
+  try {
+    const updateId = update.update_id;
+    if (typeof updateId === "number") {
+      if (!(await claimUpdate(updateId))) {
+        return;
+      }
+
+      claimedUpdateId = updateId;
+    }
+
+    if (update.inline_query) {
+      const { from } = update.inline_query;
+      let storedUser = null;
+      try {
+        storedUser = await recordUser(from);
+      } catch (error) {
+        logError("Failed to record inline query user", error);
+      }
+
+      const inlineLocale = resolveLocale(storedUser?.language, from?.language_code);
+      await handleInlineQuery(token, update.inline_query, inlineLocale);
+      return;
+    }
+
+    if (update.callback_query) {
+      const callbackLocale = await loadUserLocale(update.callback_query.from);
+      await handleCallbackQuery(token, update.callback_query, callbackLocale);
+      return;
+    }
+
+    const message = getIncomingMessage(update);
+    chatId = message?.chat?.id ?? null;
+    const text = message?.text?.trim() || "";
+
+    if (!message || chatId === null) {
+      return;
+    }
+
+    if (await isCommandForOtherBot(token, parseCommand(text))) {
+      return;
+    }
+
+    const storedUser = await recordActivity(message);
+    locale = resolveLocale(storedUser?.language, message.from?.language_code);
+
+    if (isQuotaCommand(text)) {
+      const statuses = await getSearchRouter(traceApiKey).getStatuses();
+      await safeReply(token, chatId, formatQuotaMessage(statuses, locale));
+      return;
+    }
+
+    const adminCommand = getAdminCommand(text);
+    if (adminCommand) {
+      await handleAdminCommand(token, message, adminCommand, { locale, traceApiKey });
+      return;
+    }
+
+    const historyCommand = getHistoryCommand(text);
+    if (historyCommand) {
+      await handleHistoryCommand(token, message, historyCommand, locale);
+      return;
+    }
+
+    const langCommand = getLangCommand(text);
+    if (langCommand) {
+      await handleLangCommand(token, message, langCommand, locale);
+      return;
+    }
+
+    const settingsCommand = getSettingsCommand(text);
+    if (settingsCommand) {
+      await handleSettingsCommand(token, message, settingsCommand, locale);
+      return;
+    }
+
+    const subscriptionCommand = getSubscriptionCommand(text);
+    if (subscriptionCommand) {
+      await handleSubscriptionCommand(token, message, subscriptionCommand, locale);
+      return;
+    }
+
+    const infoCommand = getInfoCommand(text);
+    if (infoCommand) {
+      await handleInfoCommand(token, message, infoCommand, locale);
+      return;
+    }
+
+    const trigger = isGroupChat(message.chat) ? await getGroupTrigger(token, message) : "private";
+    const active = Boolean(trigger) || (await getChatSettings(chatId)).autoSearch;
+    if (!active && !message.media_group_id) {
+      return;
+    }
+
+    const source = resolveSearchSource(message, { useReply: trigger === "mention" });
+    if (message.media_group_id && source?.type === "media") {
+      await handleAlbumItem(token, message, source, { active, locale, traceApiKey });
+      return;
+    }
+
+    if (!active) {
+      return;
+    }
+
+    if (!source) {
+      if (!trigger) {
+        return;
+      }
+
+      const hint = isSearchCommand(text || message.caption)
+        ? t(locale, "searchReplyHint")
+        : withImageGuidelines(locale, "noImage");
+      await safeReply(token, chatId, hint);
+      return;
+    }
+
+    const placeholderMessageId = await sendSearchPlaceholder(token, chatId, locale);
+    await enqueueJob(token, traceApiKey, {
+      type: "search",
+      key: chatId,
+      chatId,
+      userId: message.from?.id ?? null,
+      locale,
+      source,
+      placeholderMessageId,
+    });
+  } catch (error) {
+    logError("Failed to process Telegram update", error, { chatId, code: error?.code });
+
+    await recordError(error, { chatId });
+    if (chatId !== null) {
+      await sendErrorByType(token, chatId, error, locale);
+    }
+  } finally {
+    if (claimedUpdateId !== null) {
+      await completeUpdate(claimedUpdateId);
+    }
+  }
+}
+
+export async function processUpdate(update, options) {
+  const type = getUpdateType(update);
+  metrics.updates.inc({ type });
+
+  const context = { correlationId: createCorrelationId(), updateId: update.update_id ?? null };
+  return runWithLogContext(context, () => {
+    logDebug("Processing update", { type });
+    return handleUpdate(update, options);
+  });
+}
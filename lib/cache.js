@@ -0,0 +1,254 @@
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+import { hammingDistance } from "./imagehash.js";
+import { createRedisClient } from "./redis.js";
+import { logError } from "./utils.js";
+
+const DEFAULT_CACHE_TTL_SECONDS = 7 * 24 * 60 * 60;
+const DEFAULT_CACHE_FILE = ".cache/results.json";
+const FILE_CACHE_FLUSH_DELAY_MS = 1_000;
+const MEMORY_CACHE_MAX_ENTRIES = 1000;
+const IMAGE_HASH_INDEX_KEY = "hash-index";
+const IMAGE_HASH_INDEX_MAX_ENTRIES = 1000;
+const IMAGE_HASH_MAX_DISTANCE = 6;
+
+function isExpired(entry, now = Date.now()) {
+  return !entry || entry.expiresAt <= now;
+}
+
+export function createMemoryCacheStore({ maxEntries = MEMORY_CACHE_MAX_ENTRIES } = {}) {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (isExpired(entry)) {
+        entries.delete(key);
+        return null;
+      }
+
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      while (entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+export function createFileCacheStore({
+  filePath = DEFAULT_CACHE_FILE,
+  flushDelayMs = FILE_CACHE_FLUSH_DELAY_MS,
+} = {}) {
+  let entries = null;
+  let loading = null;
+  let dirty = false;
+  let flushTimer = null;
+  let saving = Promise.resolve();
+
+  async function load() {
+    try {
+      const parsed = JSON.parse(await readFile(filePath, "utf8"));
+      return parsed && typeof parsed === "object" ? parsed : {};
+    } catch (error) {
+      if (error?.code === "ENOENT") {
+        return {};
+      }
+
+      throw error;
+    }
+  }
+
+  async function save(snapshot) {
+    const tempPath = `${filePath}.tmp`;
+    await mkdir(dirname(filePath), { recursive: true });
+    await writeFile(tempPath, snapshot);
+    await rename(tempPath, filePath);
+  }
+
+  async function getEntries() {
+    if (entries) {
+      return entries;
+    }
+
+    loading ??= load().then((loaded) => {
+      entries ??= loaded;
+      return entries;
+    });
+    return loading;
+  }
+
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (dirty) {
+      dirty = false;
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(entries)) {
+        if (isExpired(entry, now)) {
+          delete entries[key];
+        }
+      }
+
+      const snapshot = JSON.stringify(entries);
+      saving = saving
+        .then(() => save(snapshot))
+        .catch((error) => {
+          dirty = true;
+          logError("Failed to write cache file", error, { filePath });
+        });
+    }
+
+    return saving;
+  }
+
+  function scheduleFlush() {
+    dirty = true;
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, flushDelayMs);
+      flushTimer.unref?.();
+    }
+  }
+
+  return {
+    async get(key) {
+      const entry = (await getEntries())[key];
+      return isExpired(entry) ? null : entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      (await getEntries())[key] = { value, expiresAt: Date.now() + ttlMs };
+      scheduleFlush();
+    },
+
+    async delete(key) {
+      delete (await getEntries())[key];
+      scheduleFlush();
+    },
+
+    flush,
+
+    async close() {
+      await flush();
+    },
+  };
+}
+
+export function createRedisCacheStore({ url, token, prefix = "wab:" }) {
+  const { command } = createRedisClient({ url, token });
+
+  return {
+    async get(key) {
+      const raw = await command("GET", `${prefix}${key}`);
+      return typeof raw === "string" ? JSON.parse(raw) : null;
+    },
+
+    async set(key, value, ttlMs) {
+      await command("SET", `${prefix}${key}`, JSON.stringify(value), "PX", String(ttlMs));
+    },
+
+    async delete(key) {
+      await command("DEL", `${prefix}${key}`);
+    },
+  };
+}
+
+export function createCacheStoreFromEnv(env = process.env) {
+  const backend = (env.RESULT_CACHE_BACKEND || "memory").trim().toLowerCase();
+
+  if (backend === "file") {
+    return createFileCacheStore({ filePath: env.RESULT_CACHE_FILE || DEFAULT_CACHE_FILE });
+  }
+
+  if (backend === "redis") {
+    return createRedisCacheStore({
+      url: env.RESULT_CACHE_REDIS_URL,
+      token: env.RESULT_CACHE_REDIS_TOKEN,
+    });
+  }
+
+  if (backend !== "memory") {
+    throw new Error(`Unknown RESULT_CACHE_BACKEND: ${backend}`);
+  }
+
+  return createMemoryCacheStore();
+}
+
+export function createResultCache(store, { ttlSeconds = DEFAULT_CACHE_TTL_SECONDS } = {}) {
+  const ttlMs = ttlSeconds * 1000;
+
+  async function findSimilarHash(imageHash) {
+    const index = (await store.get(IMAGE_HASH_INDEX_KEY)) || [];
+    const now = Date.now();
+    let best = null;
+
+    for (const entry of index) {
+      if (isExpired(entry, now)) {
+        continue;
+      }
+
+      const distance = hammingDistance(entry.hash, imageHash);
+      if (distance <= IMAGE_HASH_MAX_DISTANCE && (!best || distance < best.distance)) {
+        best = { hash: entry.hash, distance };
+      }
+    }
+
+    return best?.hash || null;
+  }
+
+  async function addToHashIndex(imageHash) {
+    const now = Date.now();
+    const index = ((await store.get(IMAGE_HASH_INDEX_KEY)) || []).filter(
+      (entry) => !isExpired(entry, now) && entry.hash !== imageHash,
+    );
+
+    index.push({ hash: imageHash, expiresAt: now + ttlMs });
+    await store.set(IMAGE_HASH_INDEX_KEY, index.slice(-IMAGE_HASH_INDEX_MAX_ENTRIES), ttlMs);
+  }
+
+  return {
+    async getByFileId(fileUniqueId) {
+      if (!fileUniqueId) {
+        return null;
+      }
+
+      return store.get(`file:${fileUniqueId}`);
+    },
+
+    async getByImageHash(imageHash) {
+      if (!imageHash) {
+        return null;
+      }
+
+      const exact = await store.get(`hash:${imageHash}`);
+      if (exact) {
+        return exact;
+      }
+
+      const similarHash = await findSimilarHash(imageHash);
+      return similarHash ? store.get(`hash:${similarHash}`) : null;
+    },
+
+    async save({ fileUniqueId, imageHash }, results) {
+      const entry = { results, cachedAt: Date.now() };
+
+      if (fileUniqueId) {
+        await store.set(`file:${fileUniqueId}`, entry, ttlMs);
+      }
+
+      if (imageHash) {
+        await store.set(`hash:${imageHash}`, entry, ttlMs);
+        await addToHashIndex(imageHash);
+      }
+    },
+  };
+}
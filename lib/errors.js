@@ -0,0 +1,18 @@
+export class ProcessingError extends Error {
+  constructor(code, message, cause, details = {}) {
+    super(message);
+    this.name = "ProcessingError";
+    this.code = code;
+    this.cause = cause;
+    this.details = details;
+  }
+}
+
+export function isTimeoutError(error) {
+  if (error?.name === "AbortError") {
+    return true;
+  }
+
+  const message = String(error?.message || "").toLowerCase();
+  return message.includes("timeout");
+}
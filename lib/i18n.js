@@ -0,0 +1,80 @@
+import ar from "./locales/ar.js";
+import en from "./locales/en.js";
+import id from "./locales/id.js";
+
+export const DEFAULT_LOCALE = "ar";
+
+const CATALOGS = { ar, en, id };
+
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+function normalizeLocale(value) {
+  if (typeof value !== "string") {
+    return null;
+  }
+
+  const base = value.trim().toLowerCase().split(/[-_]/)[0];
+  if (base === "in") {
+    return "id";
+  }
+
+  return CATALOGS[base] ? base : null;
+}
+
+export function resolveLocale(...candidates) {
+  for (const candidate of candidates) {
+    const locale = normalizeLocale(candidate);
+    if (locale) {
+      return locale;
+    }
+  }
+
+  return DEFAULT_LOCALE;
+}
+
+export function isSupportedLocale(value) {
+  return normalizeLocale(value) !== null;
+}
+
+function lookup(catalog, key) {
+  return key
+    .split(".")
+    .reduce((node, part) => (node && typeof node === "object" ? node[part] : undefined), catalog);
+}
+
+export function t(locale, key, params = {}) {
+  const template =
+    lookup(CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE], key) ??
+    lookup(CATALOGS[DEFAULT_LOCALE], key);
+  if (typeof template !== "string") {
+    return key;
+  }
+
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    Object.hasOwn(params, name) ? String(params[name]) : match,
+  );
+}
+
+export function getLocaleName(locale) {
+  return (CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE]).name;
+}
+
+export function formatNumber(locale, value) {
+  return new Intl.NumberFormat(locale).format(value);
+}
+
+export function formatPercent(locale, value, fractionDigits = 2) {
+  return new Intl.NumberFormat(locale, {
+    style: "percent",
+    minimumFractionDigits: fractionDigits,
+    maximumFractionDigits: fractionDigits,
+  }).format(value);
+}
+
+export function formatDateTime(locale, timestamp) {
+  return new Intl.DateTimeFormat(locale, {
+    dateStyle: "medium",
+    timeStyle: "short",
+    timeZone: "UTC",
+  }).format(new Date(timestamp));
+}
@@ -0,0 +1,34 @@
+import sharp from "sharp";
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+export async function computeImageHash(buffer) {
+  const pixels = await sharp(buffer, { animated: false })
+    .grayscale()
+    .resize(HASH_WIDTH, HASH_HEIGHT, { fit: "fill" })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < HASH_HEIGHT; row += 1) {
+    for (let column = 0; column < HASH_WIDTH - 1; column += 1) {
+      const offset = row * HASH_WIDTH + column;
+      hash = (hash << 1n) | (pixels[offset] > pixels[offset + 1] ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, "0");
+}
+
+export function hammingDistance(left, right) {
+  let diff = BigInt(`0x${left}`) ^ BigInt(`0x${right}`);
+  let distance = 0;
+
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+
+  return distance;
+}
@@ -0,0 +1,282 @@
+import { randomUUID } from "node:crypto";
+import { createFairQueue } from "./queue.js";
+import { logError, sleep } from "./utils.js";
+
+const JOBS_COLLECTION = "jobs";
+const DEFAULT_JOB_CONCURRENCY = 2;
+const DEFAULT_JOB_MAX_ATTEMPTS = 3;
+const DEFAULT_JOB_LEASE_MS = 60_000;
+const JOB_RETRY_BASE_DELAY_MS = 5_000;
+const FAILED_JOB_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const DRAIN_DELAYED_JOB_HORIZON_MS = 5_000;
+
+function createJob(job) {
+  const createdAt = Date.now();
+  return {
+    ...job,
+    id: job.id || randomUUID(),
+    key: String(job.key ?? "default"),
+    runAt: Math.max(job.runAt ?? createdAt, createdAt),
+    createdAt,
+  };
+}
+
+function waitUntilDue(job) {
+  const delay = job.runAt - Date.now();
+  return delay > 0 ? sleep(delay) : Promise.resolve();
+}
+
+export function createInlineJobQueue({ handler }) {
+  return {
+    backend: "inline",
+
+    async enqueue(job) {
+      const queued = createJob(job);
+      await waitUntilDue(queued);
+      await handler(queued);
+    },
+
+    async drain() {},
+
+    async processPending() {
+      return 0;
+    },
+
+    async size() {
+      return { active: 0, pending: 0 };
+    },
+  };
+}
+
+export function createMemoryJobQueue({ handler, concurrency = DEFAULT_JOB_CONCURRENCY }) {
+  const queue = createFairQueue({ concurrency });
+  const inFlight = new Set();
+
+  return {
+    backend: "memory",
+
+    async enqueue(job) {
+      const queued = createJob(job);
+      const task = waitUntilDue(queued)
+        .then(() => queue.enqueue(queued.key, () => handler(queued)))
+        .catch((error) => {
+          logError("Background job failed", error, { jobId: queued.id, type: queued.type });
+        })
+        .finally(() => {
+          inFlight.delete(task);
+        });
+
+      inFlight.add(task);
+    },
+
+    async drain() {
+      while (inFlight.size > 0) {
+        await Promise.allSettled([...inFlight]);
+      }
+    },
+
+    async processPending() {
+      return 0;
+    },
+
+    async size() {
+      return queue.size();
+    },
+  };
+}
+
+export function createStorageJobQueue({
+  handler,
+  storage,
+  maxAttempts = DEFAULT_JOB_MAX_ATTEMPTS,
+  leaseMs = DEFAULT_JOB_LEASE_MS,
+}) {
+  function isClaimable(job, now) {
+    if (job.status === "pending") {
+      return job.availableAt <= now;
+    }
+
+    return job.status === "running" && job.leaseExpiresAt <= now;
+  }
+
+  async function claimNext() {
+    const now = Date.now();
+    const candidates = (await storage.list(JOBS_COLLECTION, (job) => isClaimable(job, now))).sort(
+      (a, b) => a.availableAt - b.availableAt,
+    );
+
+    for (const candidate of candidates) {
+      let claimed = null;
+      let abandoned = null;
+      await storage.update(JOBS_COLLECTION, candidate.id, (existing) => {
+        claimed = null;
+        abandoned = null;
+        if (!existing || !isClaimable(existing, now)) {
+          return existing;
+        }
+
+        if (existing.status === "running" && existing.attempts >= maxAttempts) {
+          abandoned = {
+            ...existing,
+            status: "failed",
+            lastError: "Job lease expired on its last attempt",
+            expiresAt: now + FAILED_JOB_TTL_MS,
+          };
+          return abandoned;
+        }
+
+        claimed = {
+          ...existing,
+          status: "running",
+          attempts: existing.attempts + 1,
+          leaseId: randomUUID(),
+          leaseExpiresAt: now + leaseMs,
+        };
+        return claimed;
+      });
+
+      if (abandoned) {
+        logError("Stored job failed", new Error(abandoned.lastError), {
+          jobId: abandoned.id,
+          type: abandoned.type,
+          attempts: abandoned.attempts,
+          exhausted: true,
+        });
+      }
+
+      if (claimed) {
+        return claimed;
+      }
+    }
+
+    return null;
+  }
+
+  function updateLeased(job, updater) {
+    return storage.update(JOBS_COLLECTION, job.id, (existing) =>
+      existing?.leaseId === job.leaseId ? updater(existing) : existing,
+    );
+  }
+
+  function startHeartbeat(job) {
+    const renew = (existing) => ({ ...existing, leaseExpiresAt: Date.now() + leaseMs });
+    const timer = setInterval(() => {
+      updateLeased(job, renew).catch((error) => {
+        logError("Failed to renew job lease", error, { jobId: job.id, type: job.type });
+      });
+    }, Math.max(Math.floor(leaseMs / 3), 1));
+    timer.unref?.();
+    return timer;
+  }
+
+  async function runClaimed(job) {
+    const heartbeat = startHeartbeat(job);
+    try {
+      await handler(job);
+      await updateLeased(job, () => null);
+    } catch (error) {
+      const exhausted = job.attempts >= maxAttempts;
+      logError("Stored job failed", error, {
+        jobId: job.id,
+        type: job.type,
+        attempts: job.attempts,
+        exhausted,
+      });
+
+      const now = Date.now();
+      await updateLeased(job, (existing) => ({
+        ...existing,
+        status: exhausted ? "failed" : "pending",
+        availableAt: now + JOB_RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1),
+        lastError: error?.message || String(error),
+        ...(exhausted ? { expiresAt: now + FAILED_JOB_TTL_MS } : {}),
+      }));
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  async function processPending({ limit = Infinity, deadline = Infinity } = {}) {
+    let processed = 0;
+
+    while (processed < limit && Date.now() < deadline) {
+      const job = await claimNext();
+      if (!job) {
+        break;
+      }
+
+      await runClaimed(job);
+      processed += 1;
+    }
+
+    return processed;
+  }
+
+  return {
+    backend: "storage",
+
+    async enqueue(job) {
+      const queued = createJob(job);
+      await storage.put(JOBS_COLLECTION, queued.id, {
+        ...queued,
+        status: "pending",
+        attempts: 0,
+        availableAt: queued.runAt,
+        leaseExpiresAt: 0,
+      });
+    },
+
+    async drain({ deadline = Infinity, ...options } = {}) {
+      await processPending({ deadline, ...options });
+
+      const horizon = Math.min(deadline, Date.now() + DRAIN_DELAYED_JOB_HORIZON_MS);
+      const delayed = await storage.list(
+        JOBS_COLLECTION,
+        (job) => job.status === "pending" && job.availableAt <= horizon,
+      );
+      if (delayed.length > 0) {
+        await sleep(Math.max(Math.min(...delayed.map((job) => job.availableAt)) - Date.now(), 0));
+        await processPending({ deadline, ...options });
+      }
+    },
+
+    processPending,
+
+    async size() {
+      const jobs = await storage.list(JOBS_COLLECTION);
+      return {
+        active: jobs.filter((job) => job.status === "running").length,
+        pending: jobs.filter((job) => job.status === "pending").length,
+      };
+    },
+  };
+}
+
+export function createJobQueueFromEnv(env, { handler, storage }) {
+  const backend = (env.JOB_QUEUE_BACKEND || (storage.shared ? "storage" : "memory"))
+    .trim()
+    .toLowerCase();
+  const concurrency = Number.parseInt(env.JOB_CONCURRENCY || "", 10);
+
+  if (backend === "inline") {
+    return createInlineJobQueue({ handler });
+  }
+
+  if (backend === "memory") {
+    return createMemoryJobQueue({
+      handler,
+      concurrency: concurrency > 0 ? concurrency : DEFAULT_JOB_CONCURRENCY,
+    });
+  }
+
+  if (backend === "storage") {
+    const maxAttempts = Number.parseInt(env.JOB_MAX_ATTEMPTS || "", 10);
+    return createStorageJobQueue({
+      handler,
+      storage,
+      maxAttempts: maxAttempts > 0 ? maxAttempts : DEFAULT_JOB_MAX_ATTEMPTS,
+    });
+  }
+
+  throw new Error(`Unsupported JOB_QUEUE_BACKEND: ${backend}`);
+}
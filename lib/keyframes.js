@@ -0,0 +1,200 @@
+import { execFile } from "node:child_process";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { promisify } from "node:util";
+import { ProcessingError } from "./errors.js";
+import { logWarn } from "./utils.js";
+
+const DEFAULT_VIDEO_MAX_SIZE_MB = 20;
+const DEFAULT_KEYFRAME_COUNT = 4;
+const MAX_KEYFRAME_COUNT = 10;
+const FFMPEG_TIMEOUT_MS = 20_000;
+const FFMPEG_MAX_OUTPUT_BYTES = 16 * 1024 * 1024;
+const FRAME_ALIGNMENT_TOLERANCE_SECONDS = 5;
+
+const execFileAsync = promisify(execFile);
+
+let ffmpegMissing = false;
+
+function readInteger(value, fallback, { min, max }) {
+  const parsed = Number.parseInt(value ?? "", 10);
+  if (!Number.isFinite(parsed)) {
+    return fallback;
+  }
+
+  return Math.min(Math.max(parsed, min), max);
+}
+
+function readSizeMb(value, fallback) {
+  const parsed = Number.parseFloat(value ?? "");
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+async function runTool(command, args) {
+  if (ffmpegMissing) {
+    throw new ProcessingError("FFMPEG_UNAVAILABLE", "ffmpeg is not installed");
+  }
+
+  try {
+    const { stdout } = await execFileAsync(command, args, {
+      encoding: "buffer",
+      maxBuffer: FFMPEG_MAX_OUTPUT_BYTES,
+      timeout: FFMPEG_TIMEOUT_MS,
+    });
+    return stdout;
+  } catch (error) {
+    if (error?.code === "ENOENT") {
+      ffmpegMissing = true;
+      logWarn("ffmpeg not found, video clips are searched as a whole", { command });
+      throw new ProcessingError("FFMPEG_UNAVAILABLE", `${command} is not installed`, error);
+    }
+
+    throw new ProcessingError("KEYFRAME_EXTRACTION_FAILED", `${command} failed`, error);
+  }
+}
+
+async function probeDuration(ffprobePath, file) {
+  const output = await runTool(ffprobePath, [
+    "-v",
+    "error",
+    "-show_entries",
+    "format=duration",
+    "-of",
+    "default=noprint_wrappers=1:nokey=1",
+    file,
+  ]);
+  const duration = Number.parseFloat(output.toString("utf8").trim());
+  return Number.isFinite(duration) && duration > 0 ? duration : null;
+}
+
+function getFrameOffsets(duration, count) {
+  if (!duration) {
+    return [0];
+  }
+
+  return Array.from({ length: count }, (_, index) => (duration * (index + 0.5)) / count);
+}
+
+async function extractFrame(ffmpegPath, file, offset) {
+  return runTool(ffmpegPath, [
+    "-v",
+    "error",
+    "-ss",
+    offset.toFixed(3),
+    "-i",
+    file,
+    "-frames:v",
+    "1",
+    "-f",
+    "image2pipe",
+    "-c:v",
+    "mjpeg",
+    "-q:v",
+    "2",
+    "pipe:1",
+  ]);
+}
+
+function getEpisodeKey(episode) {
+  return Array.isArray(episode) ? episode.join(",") : String(episode ?? "");
+}
+
+function findCluster(clusters, { anime, episode, start }) {
+  return clusters.find(
+    (cluster) =>
+      cluster.anime === anime &&
+      cluster.episode === episode &&
+      (cluster.start === null ||
+        start === null ||
+        Math.abs(cluster.start - start) <= FRAME_ALIGNMENT_TOLERANCE_SECONDS),
+  );
+}
+
+function pickBound(results, field, pick) {
+  const values = results
+    .map((result) => result[field])
+    .filter((value) => typeof value === "number");
+  return values.length > 0 ? pick(...values) : null;
+}
+
+export function loadVideoConfig(env = process.env) {
+  return {
+    maxBytes: readSizeMb(env.VIDEO_MAX_SIZE_MB, DEFAULT_VIDEO_MAX_SIZE_MB) * 1024 * 1024,
+    frameCount: readInteger(env.VIDEO_KEYFRAMES, DEFAULT_KEYFRAME_COUNT, {
+      min: 0,
+      max: MAX_KEYFRAME_COUNT,
+    }),
+    ffmpegPath: env.FFMPEG_PATH?.trim() || "ffmpeg",
+    ffprobePath: env.FFPROBE_PATH?.trim() || "ffprobe",
+  };
+}
+
+export async function extractKeyframes(buffer, { frameCount, ffmpegPath, ffprobePath }) {
+  const directory = await mkdtemp(join(tmpdir(), "anime-bot-"));
+  const file = join(directory, "clip");
+
+  try {
+    await writeFile(file, buffer);
+    const duration = await probeDuration(ffprobePath, file);
+    const frames = [];
+
+    for (const offset of getFrameOffsets(duration, frameCount)) {
+      const frame = await extractFrame(ffmpegPath, file, offset);
+      if (frame.length > 0) {
+        frames.push({ offset, buffer: frame });
+      }
+    }
+
+    return { duration, frames };
+  } finally {
+    await rm(directory, { recursive: true, force: true });
+  }
+}
+
+export function aggregateFrameResults(frames) {
+  const clusters = [];
+
+  frames.forEach((frame, frameIndex) => {
+    for (const result of frame.results) {
+      const anime = result?.anilistId ?? result?.title;
+      if (!anime) {
+        continue;
+      }
+
+      const key = {
+        anime,
+        episode: getEpisodeKey(result.episode),
+        start: typeof result.from === "number" ? result.from - frame.offset : null,
+      };
+      let cluster = findCluster(clusters, key);
+      if (!cluster) {
+        cluster = { ...key, results: [], votes: new Map() };
+        clusters.push(cluster);
+      }
+
+      cluster.results.push(result);
+      cluster.votes.set(
+        frameIndex,
+        Math.max(cluster.votes.get(frameIndex) ?? 0, result.similarity ?? 0),
+      );
+    }
+  });
+
+  return clusters
+    .map((cluster) => {
+      const best = cluster.results.reduce((left, right) =>
+        (right.similarity ?? 0) > (left.similarity ?? 0) ? right : left,
+      );
+      const score = [...cluster.votes.values()].reduce((sum, value) => sum + value, 0);
+
+      return {
+        ...best,
+        similarity: score / frames.length,
+        from: pickBound(cluster.results, "from", Math.min),
+        to: pickBound(cluster.results, "to", Math.max),
+        frames: { matched: cluster.votes.size, total: frames.length },
+      };
+    })
+    .sort((left, right) => right.similarity - left.similarity);
+}
@@ -0,0 +1,219 @@
+export default {
+  name: "العربية",
+  notAvailable: "غير متوفر",
+  imageGuidelines: [
+    "مهم قبل الإرسال:",
+    "• أرسل لقطة أصلية من مشهد داخل الحلقة نفسها.",
+    "• لا ترسل فيديو معدل/محسن أو AMV.",
+    "• تجنب الفلاتر القوية (سطوع/تشبع/تباين/أبيض وأسود).",
+    "• تجنب القص الشديد أو التدوير أو قلب الصورة.",
+    "• يفضّل أن تكون الدقة 320×180 أو أعلى.",
+  ].join("\n"),
+  noImage:
+    "يرجى إرسال لقطة شاشة (صورة، ملف صورة، ملصق، GIF أو مقطع قصير) أو رابط صورة لمعرفة اسم الأنمي.",
+  searchReplyHint: "استخدم الأمر /search كرد على رسالة تحتوي على صورة أو رابط صورة.",
+  imageTooLarge: "الملف كبير جدًا. الحد الأقصى المسموح لهذا النوع هو {limitMb} ميجابايت.",
+  searching: "🔎 جارٍ البحث عن الأنمي…",
+  noResults: "لم يتم العثور على نتائج مناسبة. جرّب لقطة أوضح من نفس المشهد.",
+  previewSendFailed: "تعذر إرسال المعاينة المرئية لهذه النتيجة.",
+  resultsExpired: "انتهت صلاحية هذه النتائج. أعد إرسال الصورة للبحث مجددًا.",
+  lowConfidence: {
+    header: "لم يتم العثور إلا على نتائج منخفضة الثقة، وغالبًا ليست الأنمي الصحيح.",
+    closest: "أقرب تخمين: {title} ({similarity})",
+  },
+  errors: {
+    telegramDownload: "تعذر تنزيل الصورة من تيليجرام. أعد إرسال الصورة مرة أخرى.",
+    imageUrl: "تعذر تحميل الصورة من الرابط. تأكد أن الرابط مباشر لصورة ومتاح للعامة.",
+    traceApi: "تعذر الوصول إلى خدمة التعرف على الأنمي حاليًا. حاول مرة أخرى لاحقًا.",
+    traceResponse: "وصلت استجابة غير متوقعة من خدمة التعرف على الأنمي. جرّب صورة أوضح.",
+    traceLimit: "الخدمة مزدحمة الآن أو تم تجاوز الحد المؤقت للطلبات. حاول بعد قليل.",
+    traceMe: "تعذر جلب حالة الحصة الآن. حاول مرة أخرى بعد قليل.",
+    saucenaoApi: "تعذر الوصول إلى خدمة SauceNAO حاليًا. حاول مرة أخرى لاحقًا.",
+    saucenaoLimit: "تم تجاوز حد طلبات SauceNAO مؤقتًا. حاول بعد قليل.",
+    saucenaoResponse: "وصلت استجابة غير متوقعة من خدمة SauceNAO. جرّب صورة أوضح.",
+    noProvider: "لا توجد خدمة بحث مفعّلة تدعم هذا النوع من الملفات.",
+    anilistApi: "تعذر الوصول إلى AniList حاليًا. حاول مرة أخرى لاحقًا.",
+    anilistLimit: "تم تجاوز حد طلبات AniList مؤقتًا. حاول بعد دقيقة.",
+    timeout: "انتهت مهلة المعالجة. جرّب مرة أخرى بصورة أصغر أو أوضح.",
+    generic: "حدث خطأ غير متوقع أثناء تحليل الصورة. حاول لاحقًا.",
+  },
+  results: {
+    header: "نتائج البحث عن الأنمي 🔍",
+    cacheHitNote: "⚡ نتيجة محفوظة مسبقًا (لم تُستهلك حصة البحث)",
+    historyNote: "🕘 من سجل البحث (لم تُستهلك حصة البحث)",
+    index: "النتيجة {index}",
+    indexOfTotal: "النتيجة {index} من {total}",
+    title: "العنوان: {value}",
+    episode: "الحلقة: {value}",
+    similarity: "نسبة التشابه: {value}",
+    time: "الوقت: {from} → {to}",
+    provider: "المصدر: {value}",
+    frames: "الإطارات المتطابقة: {matched}/{total}",
+    possibleMatch: "⚠️ تطابق محتمل: نسبة التشابه منخفضة وقد يكون أنمي مختلفًا.",
+  },
+  buttons: {
+    previous: "◀️ السابق",
+    next: "التالي ▶️",
+    showVideo: "🎬 عرض الفيديو",
+    showImage: "🖼 عرض الصورة",
+    anilist: "فتح في AniList",
+    details: "ℹ️ التفاصيل",
+    subscribe: "🔔 اشتراك",
+  },
+  history: {
+    header: "سجل عمليات البحث الأخيرة 🕘",
+    empty: "لا توجد عمليات بحث محفوظة في سجلك بعد.",
+    openHint: "اضغط على رقم أي نتيجة لعرضها مجددًا.",
+    usage: "الاستخدام: /history لعرض السجل، أو /history clear لحذفه.",
+    entryMissing: "هذه العملية لم تعد موجودة في سجلك.",
+    unavailable: "تعذر الوصول إلى السجل الآن. حاول مرة أخرى لاحقًا.",
+    cleared: "تم حذف سجل البحث ({count} عملية).",
+    sentPrivately: "📬 تم إرسال سجلك إليك في محادثة خاصة.",
+    startPrivate: "يُرسل سجلك في محادثة خاصة فقط. ابدأ محادثة مع البوت أولًا، ثم أرسل /history مرة أخرى.",
+    openChat: "فتح المحادثة الخاصة",
+    entryDetails: "الحلقة: {episode} • نسبة التشابه: {similarity}",
+    entryTime: "الوقت: {from} → {to} • {date}",
+  },
+  quota: {
+    header: "معلومات الحصة",
+    provider: "🔹 {name}",
+    notChecked: "لم تُستخدم هذه الخدمة بعد، لذا حدودها غير معروفة.",
+    key: "🔑 المفتاح {label}",
+    cooldown: "⏸ متوقف حتى الساعة {clock} UTC بعد الوصول إلى حد الطلبات",
+    id: "المعرّف: {value}",
+    quota: "الحصة اليومية: {value}",
+    quotaUsed: "المستخدم خلال آخر 24 ساعة: {value}",
+    remaining: "المتبقي: {value}",
+    concurrency: "التوازي (Concurrency): {value}",
+    priority: "الأولوية: {value}",
+    shortRemaining: "المتبقي في نافذة الـ 30 ثانية: {value}",
+  },
+  anime: {
+    format: "الصيغة: {value}",
+    episodes: "عدد الحلقات: {value}",
+    status: "الحالة: {value}",
+    year: "السنة: {value}",
+    episodeCount: "{count} حلقة",
+    adult: "🔞 محتوى للبالغين",
+    season: "الموسم: {value}",
+    studio: "الاستوديو: {value}",
+    score: "التقييم: {value}",
+    scoreValue: "{score}/100",
+    genres: "التصنيفات: {value}",
+    seasons: {
+      WINTER: "شتاء",
+      SPRING: "ربيع",
+      SUMMER: "صيف",
+      FALL: "خريف",
+    },
+    statuses: {
+      FINISHED: "منتهي",
+      RELEASING: "يُعرض حاليًا",
+      NOT_YET_RELEASED: "لم يُعرض بعد",
+      CANCELLED: "ملغي",
+      HIATUS: "متوقف مؤقتًا",
+    },
+  },
+  rateLimit: {
+    user: "لقد تجاوزت الحد المسموح للبحث ({limit} عملية في {window}).",
+    chat: "هذه المحادثة تجاوزت الحد المسموح للبحث ({limit} عملية في {window}).",
+    retry: "يمكنك المحاولة مجددًا بعد {minutes} دقيقة (الساعة {clock} UTC).",
+    windows: {
+      minute: "الدقيقة",
+      day: "اليوم",
+    },
+  },
+  lang: {
+    choose: "اللغة الحالية: {name}\nاختر لغة الواجهة:",
+    changed: "تم تغيير اللغة إلى {name}.",
+    unsupported: "اللغة غير مدعومة. اللغات المتاحة: {list}",
+  },
+  subscriptions: {
+    subscribeUsage: "الاستخدام: /subscribe <معرّف AniList>، أو اضغط 🔔 اشتراك أسفل النتيجة.",
+    unsubscribeUsage: "الاستخدام: /unsubscribe <معرّف AniList>، أو استخدم الأزرار أسفل /subscriptions.",
+    subscribed: "🔔 تم الاشتراك في {title}. ستصل رسالة إلى هذه المحادثة عند عرض حلقة جديدة.",
+    alreadySubscribed: "هذه المحادثة مشتركة بالفعل في {title}.",
+    notAiring: "انتهى عرض {title}، لذلك لا توجد حلقات جديدة لانتظارها.",
+    notSubscribed: "هذه المحادثة غير مشتركة في هذا الأنمي.",
+    unsubscribed: "🔕 تم إلغاء الاشتراك في {title}.",
+    limit: "لدى هذه المحادثة {max} اشتراكًا بالفعل. احذف واحدًا باستخدام /unsubscribe أولًا.",
+    adminOnly: "يمكن لمشرفي المجموعة فقط تعديل الاشتراكات.",
+    unavailable: "اشتراكات الحلقات الجديدة غير متاحة في هذا النشر.",
+    header: "🔔 اشتراكات مواعيد العرض في هذه المحادثة:",
+    entry: "{index}. {title} (AniList {id})",
+    empty: "لا توجد اشتراكات في هذه المحادثة. استخدم /subscribe <معرّف AniList> أو زر 🔔 أسفل النتيجة.",
+    unsubscribeHint: "اضغط 🔕 مع الرقم لإلغاء الاشتراك.",
+    nextEpisode: "التالية: الحلقة {episode} في {date} UTC",
+    nextUnknown: "لم يُعلن عن موعد الحلقة التالية بعد.",
+    aired: "📺 الحلقة {episode} من {title} متاحة الآن!",
+    airedRange: "📺 الحلقات {from}–{to} من {title} متاحة الآن!",
+    ended: "كانت هذه الحلقة الأخيرة، لذلك انتهى هذا الاشتراك.",
+  },
+  info: {
+    usage: "الاستخدام: /info <معرّف AniList أو اسم الأنمي>",
+    notFound: "لم يتم العثور على أنمي يطابق «{query}».",
+    unavailable: "تعذر العثور على تفاصيل هذا الأنمي.",
+  },
+  settings: {
+    header: "إعدادات المحادثة:",
+    autoSearch: "البحث التلقائي عن كل صورة: {value}",
+    results: "عدد النتائج: {value}",
+    previews: "المعاينات: {value}",
+    similarity: "الحد الأدنى للتشابه: {value}",
+    nsfw: "المحتوى للبالغين: {value}",
+    nsfwModes: {
+      hide: "مخفي",
+      text: "نص فقط (بدون معاينات)",
+      spoiler: "معاينات مغطاة (Spoiler)",
+    },
+    nsfwChoose: "اختر طريقة عرض النتائج المصنفة للبالغين (18+) في هذه المحادثة:",
+    on: "مفعّل",
+    off: "متوقف",
+    updated: "تم حفظ الإعدادات.",
+    usage: [
+      "الاستخدام:",
+      "/settings autosearch <on|off>",
+      "/settings results <1-{max}>",
+      "/settings previews <on|off>",
+      "/settings similarity <0-{maxSimilarity}>",
+      "/settings nsfw <hide|text|spoiler>",
+    ].join("\n"),
+    adminOnly: "يمكن لمشرفي المحادثة فقط استخدام هذه الإعدادات.",
+    invalidValue: "قيمة غير معروفة. استخدم إحدى القيم: {list}",
+  },
+  nsfw: {
+    allHidden: "جميع النتائج مصنفة كمحتوى للبالغين وهي مخفية في هذه المحادثة.",
+    hidden: "هذا الأنمي مصنف كمحتوى للبالغين وهو مخفي في هذه المحادثة.",
+    previewHidden: "🔞 معاينة هذه النتيجة مخفية لأنها مصنفة كمحتوى للبالغين.",
+    previewStandIn:
+      "🔞 هذه النتيجة مصنفة كمحتوى للبالغين لذا معاينتها مخفية. الصورة المموهة تعود لنتيجة أخرى.",
+  },
+  admin: {
+    only: "هذا الأمر متاح لمشرفي البوت فقط.",
+  },
+  stats: {
+    usage: "الاستخدام: /stats [عدد الأيام، 1-{max}]",
+    header: "📊 إحصائيات البوت لآخر {days} يوم",
+    audience: "المحادثات: {chats} • المستخدمون: {users}",
+    searches: "عمليات البحث: {total} • من الذاكرة المؤقتة: {cached} ({hitRate})",
+    perDay: "عمليات البحث يوميًا:",
+    dayEntry: "{day}: {searches} ({cached} من الذاكرة المؤقتة)",
+    topTitles: "الأنميات الأكثر بحثًا:",
+    titleEntry: "{index}. {title} — {count}",
+    errors: "الأخطاء حسب الرمز:",
+    errorEntry: "{code}: {count}",
+    none: "—",
+  },
+  broadcast: {
+    usage: "الاستخدام: /broadcast <الرسالة>، أو أرسل /broadcast كرد على رسالة نصية.",
+    queued: "تمت جدولة البث إلى {count} محادثة. سيصلك تقرير عند الانتهاء.",
+    done: "انتهى البث. أُرسلت: {sent} • تم تخطيها (محظور): {skipped} • فشلت: {failed}",
+  },
+  health: {
+    header: "🩺 فحص الحالة",
+    ok: "✅ {name}: متاح ({ms} ms)",
+    failed: "❌ {name}: {error}",
+    queue: "📥 طابور المهام ({backend}): {active} قيد التنفيذ، {pending} في الانتظار",
+    queueUnavailable: "📥 طابور المهام ({backend}): تعذر قراءة الحجم",
+  },
+};
@@ -0,0 +1,219 @@
+export default {
+  name: "English",
+  notAvailable: "N/A",
+  imageGuidelines: [
+    "Before sending:",
+    "• Send an original frame from a scene inside the episode itself.",
+    "• Don't send edited/enhanced videos or AMVs.",
+    "• Avoid heavy filters (brightness/saturation/contrast/black and white).",
+    "• Avoid heavy cropping, rotating or flipping the image.",
+    "• A resolution of 320×180 or higher works best.",
+  ].join("\n"),
+  noImage:
+    "Send a screenshot (photo, image file, sticker, GIF or short clip) or an image link to find the anime.",
+  searchReplyHint: "Use /search as a reply to a message that contains a photo or an image link.",
+  imageTooLarge: "The file is too large. The maximum allowed size for this type is {limitMb} MB.",
+  searching: "🔎 Searching for the anime…",
+  noResults: "No suitable matches were found. Try a clearer frame from the same scene.",
+  previewSendFailed: "Couldn't send the visual preview for this result.",
+  resultsExpired: "These results have expired. Send the image again to search once more.",
+  lowConfidence: {
+    header: "Only low-confidence matches were found, so they are probably not the right anime.",
+    closest: "Closest guess: {title} ({similarity})",
+  },
+  errors: {
+    telegramDownload: "Couldn't download the image from Telegram. Please send it again.",
+    imageUrl: "Couldn't load the image from the link. Make sure it is a direct, public image link.",
+    traceApi: "The anime recognition service is unreachable right now. Please try again later.",
+    traceResponse: "The anime recognition service returned an unexpected response. Try a clearer image.",
+    traceLimit: "The service is busy or the temporary request limit was reached. Try again shortly.",
+    traceMe: "Couldn't fetch the quota status right now. Try again shortly.",
+    saucenaoApi: "SauceNAO is unreachable right now. Please try again later.",
+    saucenaoLimit: "The SauceNAO request limit was reached for now. Try again shortly.",
+    saucenaoResponse: "SauceNAO returned an unexpected response. Try a clearer image.",
+    noProvider: "No enabled search service supports this kind of file.",
+    anilistApi: "Couldn't reach AniList right now. Please try again later.",
+    anilistLimit: "The AniList request limit was reached for now. Try again in a minute.",
+    timeout: "Processing timed out. Try again with a smaller or clearer image.",
+    generic: "Something went wrong while analysing the image. Please try later.",
+  },
+  results: {
+    header: "Anime search results 🔍",
+    cacheHitNote: "⚡ Saved result (no search quota used)",
+    historyNote: "🕘 From your search history (no search quota used)",
+    index: "Result {index}",
+    indexOfTotal: "Result {index} of {total}",
+    title: "Title: {value}",
+    episode: "Episode: {value}",
+    similarity: "Similarity: {value}",
+    time: "Time: {from} → {to}",
+    provider: "Source: {value}",
+    frames: "Matching frames: {matched}/{total}",
+    possibleMatch: "⚠️ Possible match: the similarity is low, this may be a different anime.",
+  },
+  buttons: {
+    previous: "◀️ Previous",
+    next: "Next ▶️",
+    showVideo: "🎬 Show video",
+    showImage: "🖼 Show image",
+    anilist: "Open on AniList",
+    details: "ℹ️ Details",
+    subscribe: "🔔 Subscribe",
+  },
+  history: {
+    header: "Your recent searches 🕘",
+    empty: "Your search history is empty.",
+    openHint: "Tap a number to open that result again.",
+    usage: "Usage: /history to show your history, or /history clear to delete it.",
+    entryMissing: "This search is no longer in your history.",
+    unavailable: "Your history is unavailable right now. Please try again later.",
+    cleared: "Search history deleted ({count} searches).",
+    sentPrivately: "📬 Your history was sent to you in a private chat.",
+    startPrivate: "Your history is only sent privately. Start a chat with the bot first, then send /history again.",
+    openChat: "Open private chat",
+    entryDetails: "Episode: {episode} • Similarity: {similarity}",
+    entryTime: "Time: {from} → {to} • {date}",
+  },
+  quota: {
+    header: "Quota info",
+    provider: "🔹 {name}",
+    notChecked: "Not used yet, so its limits are unknown.",
+    key: "🔑 Key {label}",
+    cooldown: "⏸ Paused until {clock} UTC after hitting a limit",
+    id: "ID: {value}",
+    quota: "Daily quota: {value}",
+    quotaUsed: "Used in the last 24 hours: {value}",
+    remaining: "Remaining: {value}",
+    concurrency: "Concurrency: {value}",
+    priority: "Priority: {value}",
+    shortRemaining: "Remaining in the 30-second window: {value}",
+  },
+  anime: {
+    format: "Format: {value}",
+    episodes: "Episodes: {value}",
+    status: "Status: {value}",
+    year: "Year: {value}",
+    episodeCount: "{count} episodes",
+    adult: "🔞 Adult content",
+    season: "Season: {value}",
+    studio: "Studio: {value}",
+    score: "Score: {value}",
+    scoreValue: "{score}/100",
+    genres: "Genres: {value}",
+    seasons: {
+      WINTER: "Winter",
+      SPRING: "Spring",
+      SUMMER: "Summer",
+      FALL: "Fall",
+    },
+    statuses: {
+      FINISHED: "Finished",
+      RELEASING: "Airing",
+      NOT_YET_RELEASED: "Not yet released",
+      CANCELLED: "Cancelled",
+      HIATUS: "On hiatus",
+    },
+  },
+  rateLimit: {
+    user: "You've reached the search limit ({limit} searches per {window}).",
+    chat: "This chat has reached the search limit ({limit} searches per {window}).",
+    retry: "You can try again in {minutes} min (at {clock} UTC).",
+    windows: {
+      minute: "minute",
+      day: "day",
+    },
+  },
+  lang: {
+    choose: "Current language: {name}\nChoose the interface language:",
+    changed: "Language changed to {name}.",
+    unsupported: "Unsupported language. Available languages: {list}",
+  },
+  subscriptions: {
+    subscribeUsage: "Usage: /subscribe <AniList ID>, or tap 🔔 Subscribe under a result.",
+    unsubscribeUsage: "Usage: /unsubscribe <AniList ID>, or use the buttons under /subscriptions.",
+    subscribed: "🔔 Subscribed to {title}. This chat will get a message when a new episode airs.",
+    alreadySubscribed: "This chat is already subscribed to {title}.",
+    notAiring: "{title} has finished airing, so there are no new episodes to wait for.",
+    notSubscribed: "This chat isn't subscribed to that anime.",
+    unsubscribed: "🔕 Unsubscribed from {title}.",
+    limit: "This chat already has {max} subscriptions. Remove one with /unsubscribe first.",
+    adminOnly: "Only chat admins can change subscriptions in groups.",
+    unavailable: "Airing subscriptions are not available on this deployment.",
+    header: "🔔 Airing subscriptions in this chat:",
+    entry: "{index}. {title} (AniList {id})",
+    empty: "This chat has no subscriptions. Use /subscribe <AniList ID> or the 🔔 button under a result.",
+    unsubscribeHint: "Tap 🔕 and a number to unsubscribe.",
+    nextEpisode: "Next: episode {episode} on {date} UTC",
+    nextUnknown: "The next episode's date hasn't been announced yet.",
+    aired: "📺 Episode {episode} of {title} is out!",
+    airedRange: "📺 Episodes {from}–{to} of {title} are out!",
+    ended: "That was the final episode, so this subscription has ended.",
+  },
+  info: {
+    usage: "Usage: /info <AniList ID or anime title>",
+    notFound: "No anime found matching “{query}”.",
+    unavailable: "Couldn't find the details for this anime.",
+  },
+  settings: {
+    header: "Chat settings:",
+    autoSearch: "Auto-search every photo: {value}",
+    results: "Results per search: {value}",
+    previews: "Previews: {value}",
+    similarity: "Minimum similarity: {value}",
+    nsfw: "Adult content: {value}",
+    nsfwModes: {
+      hide: "hidden",
+      text: "text only (no previews)",
+      spoiler: "previews behind a spoiler",
+    },
+    nsfwChoose: "Choose how adult (18+) results are shown in this chat:",
+    on: "on",
+    off: "off",
+    updated: "Settings saved.",
+    usage: [
+      "Usage:",
+      "/settings autosearch <on|off>",
+      "/settings results <1-{max}>",
+      "/settings previews <on|off>",
+      "/settings similarity <0-{maxSimilarity}>",
+      "/settings nsfw <hide|text|spoiler>",
+    ].join("\n"),
+    adminOnly: "Only chat admins can use these settings.",
+    invalidValue: "Unknown value. Use one of: {list}",
+  },
+  nsfw: {
+    allHidden: "All matches are marked as adult content and are hidden in this chat.",
+    hidden: "This anime is marked as adult content and is hidden in this chat.",
+    previewHidden: "🔞 The preview of this match is hidden because it is marked as adult content.",
+    previewStandIn:
+      "🔞 This match is marked as adult content, so its preview is hidden. The blurred image belongs to another match.",
+  },
+  admin: {
+    only: "This command is only available to the bot admins.",
+  },
+  stats: {
+    usage: "Usage: /stats [days, 1-{max}]",
+    header: "📊 Bot stats for the last {days} days",
+    audience: "Chats: {chats} • Users: {users}",
+    searches: "Searches: {total} • Cache hits: {cached} ({hitRate})",
+    perDay: "Searches per day:",
+    dayEntry: "{day}: {searches} ({cached} cached)",
+    topTitles: "Top titles:",
+    titleEntry: "{index}. {title} — {count}",
+    errors: "Errors by code:",
+    errorEntry: "{code}: {count}",
+    none: "—",
+  },
+  broadcast: {
+    usage: "Usage: /broadcast <message>, or reply /broadcast to a text message.",
+    queued: "Broadcast queued for {count} chats. You will get a report when it finishes.",
+    done: "Broadcast finished. Sent: {sent} • Skipped (blocked): {skipped} • Failed: {failed}",
+  },
+  health: {
+    header: "🩺 Health check",
+    ok: "✅ {name}: reachable ({ms} ms)",
+    failed: "❌ {name}: {error}",
+    queue: "📥 Job queue ({backend}): {active} active, {pending} pending",
+    queueUnavailable: "📥 Job queue ({backend}): size unavailable",
+  },
+};
@@ -0,0 +1,219 @@
+export default {
+  name: "Bahasa Indonesia",
+  notAvailable: "Tidak tersedia",
+  imageGuidelines: [
+    "Sebelum mengirim:",
+    "• Kirim cuplikan asli dari adegan di dalam episodenya.",
+    "• Jangan kirim video yang sudah diedit/ditingkatkan atau AMV.",
+    "• Hindari filter berat (kecerahan/saturasi/kontras/hitam putih).",
+    "• Hindari memotong, memutar, atau membalik gambar secara berlebihan.",
+    "• Resolusi 320×180 atau lebih tinggi paling baik.",
+  ].join("\n"),
+  noImage:
+    "Kirim tangkapan layar (foto, file gambar, stiker, GIF, atau klip pendek) atau tautan gambar untuk mencari animenya.",
+  searchReplyHint: "Gunakan /search sebagai balasan ke pesan yang berisi foto atau tautan gambar.",
+  imageTooLarge: "File terlalu besar. Ukuran maksimum untuk jenis ini adalah {limitMb} MB.",
+  searching: "🔎 Sedang mencari anime…",
+  noResults: "Tidak ditemukan hasil yang cocok. Coba cuplikan yang lebih jelas dari adegan yang sama.",
+  previewSendFailed: "Gagal mengirim pratinjau visual untuk hasil ini.",
+  resultsExpired: "Hasil ini sudah kedaluwarsa. Kirim ulang gambarnya untuk mencari lagi.",
+  lowConfidence: {
+    header: "Hanya ditemukan hasil dengan keyakinan rendah, kemungkinan besar bukan anime yang tepat.",
+    closest: "Tebakan terdekat: {title} ({similarity})",
+  },
+  errors: {
+    telegramDownload: "Gagal mengunduh gambar dari Telegram. Silakan kirim ulang.",
+    imageUrl: "Gagal memuat gambar dari tautan. Pastikan tautan langsung ke gambar dan bersifat publik.",
+    traceApi: "Layanan pengenalan anime sedang tidak dapat dijangkau. Coba lagi nanti.",
+    traceResponse: "Layanan pengenalan anime memberi respons yang tidak terduga. Coba gambar yang lebih jelas.",
+    traceLimit: "Layanan sedang sibuk atau batas permintaan sementara tercapai. Coba lagi sebentar lagi.",
+    traceMe: "Gagal mengambil status kuota sekarang. Coba lagi sebentar lagi.",
+    saucenaoApi: "SauceNAO sedang tidak dapat dijangkau. Coba lagi nanti.",
+    saucenaoLimit: "Batas permintaan SauceNAO tercapai untuk sementara. Coba lagi sebentar lagi.",
+    saucenaoResponse: "SauceNAO memberi respons yang tidak terduga. Coba gambar yang lebih jelas.",
+    noProvider: "Tidak ada layanan pencarian aktif yang mendukung jenis file ini.",
+    anilistApi: "AniList sedang tidak dapat dijangkau. Coba lagi nanti.",
+    anilistLimit: "Batas permintaan AniList tercapai untuk sementara. Coba lagi dalam satu menit.",
+    timeout: "Waktu pemrosesan habis. Coba lagi dengan gambar yang lebih kecil atau lebih jelas.",
+    generic: "Terjadi kesalahan saat menganalisis gambar. Coba lagi nanti.",
+  },
+  results: {
+    header: "Hasil pencarian anime 🔍",
+    cacheHitNote: "⚡ Hasil tersimpan (kuota pencarian tidak terpakai)",
+    historyNote: "🕘 Dari riwayat pencarian (kuota pencarian tidak terpakai)",
+    index: "Hasil {index}",
+    indexOfTotal: "Hasil {index} dari {total}",
+    title: "Judul: {value}",
+    episode: "Episode: {value}",
+    similarity: "Kemiripan: {value}",
+    time: "Waktu: {from} → {to}",
+    provider: "Sumber: {value}",
+    frames: "Frame yang cocok: {matched}/{total}",
+    possibleMatch: "⚠️ Kemungkinan cocok: kemiripannya rendah, ini mungkin anime yang berbeda.",
+  },
+  buttons: {
+    previous: "◀️ Sebelumnya",
+    next: "Berikutnya ▶️",
+    showVideo: "🎬 Tampilkan video",
+    showImage: "🖼 Tampilkan gambar",
+    anilist: "Buka di AniList",
+    details: "ℹ️ Detail",
+    subscribe: "🔔 Langganan",
+  },
+  history: {
+    header: "Pencarian terakhir Anda 🕘",
+    empty: "Riwayat pencarian Anda masih kosong.",
+    openHint: "Ketuk nomor untuk membuka hasil itu lagi.",
+    usage: "Penggunaan: /history untuk melihat riwayat, atau /history clear untuk menghapusnya.",
+    entryMissing: "Pencarian ini sudah tidak ada di riwayat Anda.",
+    unavailable: "Riwayat tidak dapat diakses sekarang. Coba lagi nanti.",
+    cleared: "Riwayat pencarian dihapus ({count} pencarian).",
+    sentPrivately: "📬 Riwayatmu sudah dikirim lewat obrolan pribadi.",
+    startPrivate: "Riwayat hanya dikirim secara pribadi. Mulai obrolan dengan bot dulu, lalu kirim /history lagi.",
+    openChat: "Buka obrolan pribadi",
+    entryDetails: "Episode: {episode} • Kemiripan: {similarity}",
+    entryTime: "Waktu: {from} → {to} • {date}",
+  },
+  quota: {
+    header: "Info kuota",
+    provider: "🔹 {name}",
+    notChecked: "Belum pernah dipakai, jadi batasnya belum diketahui.",
+    key: "🔑 Kunci {label}",
+    cooldown: "⏸ Dijeda hingga pukul {clock} UTC setelah mencapai batas",
+    id: "ID: {value}",
+    quota: "Kuota harian: {value}",
+    quotaUsed: "Terpakai dalam 24 jam terakhir: {value}",
+    remaining: "Sisa: {value}",
+    concurrency: "Konkurensi: {value}",
+    priority: "Prioritas: {value}",
+    shortRemaining: "Sisa dalam jendela 30 detik: {value}",
+  },
+  anime: {
+    format: "Format: {value}",
+    episodes: "Jumlah episode: {value}",
+    status: "Status: {value}",
+    year: "Tahun: {value}",
+    episodeCount: "{count} episode",
+    adult: "🔞 Konten dewasa",
+    season: "Musim: {value}",
+    studio: "Studio: {value}",
+    score: "Skor: {value}",
+    scoreValue: "{score}/100",
+    genres: "Genre: {value}",
+    seasons: {
+      WINTER: "Dingin",
+      SPRING: "Semi",
+      SUMMER: "Panas",
+      FALL: "Gugur",
+    },
+    statuses: {
+      FINISHED: "Selesai",
+      RELEASING: "Sedang tayang",
+      NOT_YET_RELEASED: "Belum tayang",
+      CANCELLED: "Dibatalkan",
+      HIATUS: "Hiatus",
+    },
+  },
+  rateLimit: {
+    user: "Anda telah mencapai batas pencarian ({limit} pencarian per {window}).",
+    chat: "Obrolan ini telah mencapai batas pencarian ({limit} pencarian per {window}).",
+    retry: "Anda bisa mencoba lagi dalam {minutes} menit (pukul {clock} UTC).",
+    windows: {
+      minute: "menit",
+      day: "hari",
+    },
+  },
+  lang: {
+    choose: "Bahasa saat ini: {name}\nPilih bahasa antarmuka:",
+    changed: "Bahasa diubah ke {name}.",
+    unsupported: "Bahasa tidak didukung. Bahasa yang tersedia: {list}",
+  },
+  subscriptions: {
+    subscribeUsage: "Cara pakai: /subscribe <ID AniList>, atau ketuk 🔔 Langganan di bawah hasil.",
+    unsubscribeUsage: "Cara pakai: /unsubscribe <ID AniList>, atau gunakan tombol di bawah /subscriptions.",
+    subscribed: "🔔 Berlangganan {title}. Chat ini akan mendapat pesan saat episode baru tayang.",
+    alreadySubscribed: "Chat ini sudah berlangganan {title}.",
+    notAiring: "{title} sudah selesai tayang, jadi tidak ada episode baru yang ditunggu.",
+    notSubscribed: "Chat ini tidak berlangganan anime tersebut.",
+    unsubscribed: "🔕 Berhenti berlangganan {title}.",
+    limit: "Chat ini sudah memiliki {max} langganan. Hapus salah satu dengan /unsubscribe terlebih dahulu.",
+    adminOnly: "Hanya admin grup yang dapat mengubah langganan.",
+    unavailable: "Langganan episode tayang tidak tersedia di deployment ini.",
+    header: "🔔 Langganan jadwal tayang di chat ini:",
+    entry: "{index}. {title} (AniList {id})",
+    empty: "Chat ini belum punya langganan. Gunakan /subscribe <ID AniList> atau tombol 🔔 di bawah hasil.",
+    unsubscribeHint: "Ketuk 🔕 dan nomornya untuk berhenti berlangganan.",
+    nextEpisode: "Berikutnya: episode {episode} pada {date} UTC",
+    nextUnknown: "Tanggal episode berikutnya belum diumumkan.",
+    aired: "📺 Episode {episode} dari {title} sudah tayang!",
+    airedRange: "📺 Episode {from}–{to} dari {title} sudah tayang!",
+    ended: "Itu episode terakhir, jadi langganan ini telah berakhir.",
+  },
+  info: {
+    usage: "Penggunaan: /info <ID AniList atau judul anime>",
+    notFound: "Tidak ditemukan anime yang cocok dengan “{query}”.",
+    unavailable: "Detail anime ini tidak dapat ditemukan.",
+  },
+  settings: {
+    header: "Pengaturan obrolan:",
+    autoSearch: "Cari otomatis setiap foto: {value}",
+    results: "Jumlah hasil: {value}",
+    previews: "Pratinjau: {value}",
+    similarity: "Kemiripan minimum: {value}",
+    nsfw: "Konten dewasa: {value}",
+    nsfwModes: {
+      hide: "disembunyikan",
+      text: "hanya teks (tanpa pratinjau)",
+      spoiler: "pratinjau di balik spoiler",
+    },
+    nsfwChoose: "Pilih cara menampilkan hasil dewasa (18+) di obrolan ini:",
+    on: "aktif",
+    off: "nonaktif",
+    updated: "Pengaturan disimpan.",
+    usage: [
+      "Penggunaan:",
+      "/settings autosearch <on|off>",
+      "/settings results <1-{max}>",
+      "/settings previews <on|off>",
+      "/settings similarity <0-{maxSimilarity}>",
+      "/settings nsfw <hide|text|spoiler>",
+    ].join("\n"),
+    adminOnly: "Hanya admin obrolan yang dapat menggunakan pengaturan ini.",
+    invalidValue: "Nilai tidak dikenal. Gunakan salah satu: {list}",
+  },
+  nsfw: {
+    allHidden: "Semua hasil ditandai sebagai konten dewasa dan disembunyikan di obrolan ini.",
+    hidden: "Anime ini ditandai sebagai konten dewasa dan disembunyikan di obrolan ini.",
+    previewHidden: "🔞 Pratinjau hasil ini disembunyikan karena ditandai sebagai konten dewasa.",
+    previewStandIn:
+      "🔞 Hasil ini ditandai sebagai konten dewasa, jadi pratinjaunya disembunyikan. Gambar buram itu milik hasil lain.",
+  },
+  admin: {
+    only: "Perintah ini hanya tersedia untuk admin bot.",
+  },
+  stats: {
+    usage: "Penggunaan: /stats [hari, 1-{max}]",
+    header: "📊 Statistik bot untuk {days} hari terakhir",
+    audience: "Obrolan: {chats} • Pengguna: {users}",
+    searches: "Pencarian: {total} • Dari cache: {cached} ({hitRate})",
+    perDay: "Pencarian per hari:",
+    dayEntry: "{day}: {searches} ({cached} dari cache)",
+    topTitles: "Judul teratas:",
+    titleEntry: "{index}. {title} — {count}",
+    errors: "Galat per kode:",
+    errorEntry: "{code}: {count}",
+    none: "—",
+  },
+  broadcast: {
+    usage: "Penggunaan: /broadcast <pesan>, atau balas pesan teks dengan /broadcast.",
+    queued: "Siaran dijadwalkan ke {count} obrolan. Laporan akan dikirim setelah selesai.",
+    done: "Siaran selesai. Terkirim: {sent} • Dilewati (diblokir): {skipped} • Gagal: {failed}",
+  },
+  health: {
+    header: "🩺 Pemeriksaan kesehatan",
+    ok: "✅ {name}: dapat dijangkau ({ms} ms)",
+    failed: "❌ {name}: {error}",
+    queue: "📥 Antrean tugas ({backend}): {active} aktif, {pending} menunggu",
+    queueUnavailable: "📥 Antrean tugas ({backend}): ukuran tidak tersedia",
+  },
+};
@@ -0,0 +1,73 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { randomUUID } from "node:crypto";
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+const DEFAULT_LOG_LEVEL = "info";
+
+const logContext = new AsyncLocalStorage();
+
+function getMinLevel() {
+  const level = String(process.env.LOG_LEVEL || DEFAULT_LOG_LEVEL).trim().toLowerCase();
+  return LOG_LEVELS[level] ?? LOG_LEVELS[DEFAULT_LOG_LEVEL];
+}
+
+function serializeError(error) {
+  if (!error) {
+    return {};
+  }
+
+  return {
+    error: error.message || String(error),
+    ...(error.code ? { errorCode: error.code } : {}),
+    stack: error.stack,
+  };
+}
+
+function write(level, message, fields) {
+  if (LOG_LEVELS[level] < getMinLevel()) {
+    return;
+  }
+
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    message,
+    ...logContext.getStore(),
+    ...fields,
+  });
+
+  if (LOG_LEVELS[level] >= LOG_LEVELS.warn) {
+    console.error(line);
+    return;
+  }
+
+  console.log(line);
+}
+
+export function createCorrelationId() {
+  return randomUUID();
+}
+
+export function getLogContext() {
+  return logContext.getStore() || {};
+}
+
+export function runWithLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+export function logDebug(message, meta = {}) {
+  write("debug", message, meta);
+}
+
+export function logInfo(message, meta = {}) {
+  write("info", message, meta);
+}
+
+export function logWarn(message, meta = {}) {
+  write("warn", message, meta);
+}
+
+export function logError(message, error, meta = {}) {
+  write("error", message, { ...serializeError(error), ...meta });
+}
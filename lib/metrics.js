@@ -0,0 +1,141 @@
+import { isTimeoutError } from "./errors.js";
+
+const METRIC_PREFIX = "anime_bot";
+const DEFAULT_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15, 30];
+
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatSample(name, labels, value) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return `${name} ${value}`;
+  }
+
+  const formatted = entries.map(([label, text]) => `${label}="${escapeLabelValue(text)}"`);
+  return `${name}{${formatted.join(",")}} ${value}`;
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? ""]));
+}
+
+function createCounter(name, help, labelNames = []) {
+  const series = new Map();
+
+  const counter = {
+    name: `${METRIC_PREFIX}_${name}`,
+    help,
+    type: "counter",
+
+    inc(labels = {}, value = 1) {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const entry = series.get(key) || { labels: picked, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+
+    render() {
+      return [...series.values()].map((entry) =>
+        formatSample(counter.name, entry.labels, entry.value),
+      );
+    },
+  };
+
+  registry.push(counter);
+  return counter;
+}
+
+function createHistogram(name, help, labelNames = [], buckets = DEFAULT_DURATION_BUCKETS) {
+  const series = new Map();
+
+  const histogram = {
+    name: `${METRIC_PREFIX}_${name}`,
+    help,
+    type: "histogram",
+
+    observe(labels, value) {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const entry = series.get(key) || {
+        labels: picked,
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      };
+
+      buckets.forEach((bucket, index) => {
+        if (value <= bucket) {
+          entry.counts[index] += 1;
+        }
+      });
+      entry.sum += value;
+      entry.count += 1;
+      series.set(key, entry);
+    },
+
+    render() {
+      const bucketName = `${histogram.name}_bucket`;
+      return [...series.values()].flatMap((entry) => [
+        ...buckets.map((bucket, index) =>
+          formatSample(bucketName, { ...entry.labels, le: bucket }, entry.counts[index]),
+        ),
+        formatSample(bucketName, { ...entry.labels, le: "+Inf" }, entry.count),
+        formatSample(`${histogram.name}_sum`, entry.labels, entry.sum),
+        formatSample(`${histogram.name}_count`, entry.labels, entry.count),
+      ]);
+    },
+  };
+
+  registry.push(histogram);
+  return histogram;
+}
+
+export const metrics = {
+  updates: createCounter("updates_total", "Telegram updates received, by type", ["type"]),
+  externalRequests: createCounter(
+    "external_requests_total",
+    "Outgoing HTTP requests, by service, operation and outcome",
+    ["service", "operation", "outcome"],
+  ),
+  externalRequestDuration: createHistogram(
+    "external_request_duration_seconds",
+    "Latency of outgoing HTTP requests",
+    ["service", "operation"],
+  ),
+  retries: createCounter("retries_total", "Retried outgoing requests, by service and reason", [
+    "service",
+    "reason",
+  ]),
+  searches: createCounter("searches_total", "Completed search jobs, by outcome", ["outcome"]),
+  searchDuration: createHistogram(
+    "search_duration_seconds",
+    "End-to-end latency of search jobs",
+    ["outcome"],
+  ),
+  errors: createCounter("errors_total", "Errors reported to users, by ProcessingError code", [
+    "code",
+  ]),
+};
+
+export function getRequestOutcome({ response, error }) {
+  if (error) {
+    return isTimeoutError(error) ? "timeout" : "error";
+  }
+
+  return response.ok ? "ok" : `http_${response.status}`;
+}
+
+export function renderMetrics() {
+  return `${registry
+    .flatMap((metric) => [
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.render(),
+    ])
+    .join("\n")}\n`;
+}
@@ -0,0 +1,130 @@
+import { ProcessingError } from "./errors.js";
+import { deleteWebhook, getUpdates } from "./telegram.js";
+import { logError, sleep } from "./utils.js";
+
+const POLLING_TIMEOUT_SECONDS = 30;
+const POLLING_RETRY_DELAY_MS = 3_000;
+const POLLING_MAX_IN_FLIGHT = 20;
+const POLLING_OFFSET_KEY = "pollingOffset";
+const TELEGRAM_CONFLICT_STATUS = 409;
+
+export function createPoller({
+  token,
+  storage,
+  handleUpdate,
+  timeoutSeconds = POLLING_TIMEOUT_SECONDS,
+  allowedUpdates,
+}) {
+  const inFlight = new Set();
+  let running = false;
+  let controller = null;
+  let loop = null;
+
+  async function loadOffset() {
+    try {
+      const state = await storage.get("botState", POLLING_OFFSET_KEY);
+      return Number.isInteger(state?.offset) ? state.offset : 0;
+    } catch (error) {
+      logError("Failed to load polling offset", error);
+      return 0;
+    }
+  }
+
+  async function saveOffset(offset) {
+    try {
+      await storage.put("botState", POLLING_OFFSET_KEY, { offset });
+    } catch (error) {
+      logError("Failed to save polling offset", error, { offset });
+    }
+  }
+
+  function dispatch(update) {
+    const task = Promise.resolve()
+      .then(() => handleUpdate(update))
+      .catch((error) => {
+        logError("Failed to handle polled update", error, { updateId: update?.update_id });
+      })
+      .finally(() => {
+        inFlight.delete(task);
+      });
+
+    inFlight.add(task);
+  }
+
+  async function removeWebhook() {
+    try {
+      await deleteWebhook(token);
+    } catch (error) {
+      logError("Failed to delete the Telegram webhook before polling", error);
+    }
+  }
+
+  async function run() {
+    await removeWebhook();
+    let offset = await loadOffset();
+
+    while (running) {
+      if (inFlight.size >= POLLING_MAX_IN_FLIGHT) {
+        await Promise.race(inFlight);
+        continue;
+      }
+
+      controller = new AbortController();
+      let updates;
+      try {
+        updates = await getUpdates(token, {
+          offset,
+          timeout: timeoutSeconds,
+          allowedUpdates,
+          signal: controller.signal,
+        });
+      } catch (error) {
+        if (!running) {
+          break;
+        }
+
+        if (error?.status === TELEGRAM_CONFLICT_STATUS) {
+          running = false;
+          throw new ProcessingError(
+            "POLLING_CONFLICT",
+            "Telegram rejected getUpdates because a webhook is set or another poller is running",
+            error,
+          );
+        }
+
+        logError("Failed to fetch Telegram updates", error, { offset });
+        await sleep(POLLING_RETRY_DELAY_MS);
+        continue;
+      }
+
+      if (!Array.isArray(updates) || updates.length === 0) {
+        continue;
+      }
+
+      for (const update of updates) {
+        offset = Math.max(offset, update.update_id + 1);
+        dispatch(update);
+      }
+
+      await saveOffset(offset);
+    }
+  }
+
+  return {
+    start() {
+      if (!running) {
+        running = true;
+        loop = run();
+      }
+
+      return loop;
+    },
+
+    async stop() {
+      running = false;
+      controller?.abort();
+      await loop?.catch(() => {});
+      await Promise.allSettled(inFlight);
+    },
+  };
+}
@@ -0,0 +1,156 @@
+import sharp from "sharp";
+
+const ANALYSIS_SIZE = 256;
+const BAR_MAX_STDDEV = 4;
+const BAR_DARK_MEAN = 16;
+const BAR_LIGHT_MEAN = 245;
+const BAR_MAX_RATIO = 0.15;
+const BAR_EDGE_RATIO = 0.03;
+const BAR_SYMMETRY_RATIO = 0.02;
+const CHROME_MAX_RATIO = 0.12;
+const CHROME_MIN_GAP_RATIO = 0.015;
+const MAX_OUTPUT_DIMENSION = 1280;
+const JPEG_QUALITY = 90;
+const FLATTEN_BACKGROUND = "#000000";
+
+function measureLine(pixels, { offset, step, count }) {
+  let sum = 0;
+  let squares = 0;
+
+  for (let index = 0; index < count; index += 1) {
+    const value = pixels[offset + index * step];
+    sum += value;
+    squares += value * value;
+  }
+
+  const mean = sum / count;
+  return { mean, stddev: Math.sqrt(Math.max(squares / count - mean * mean, 0)) };
+}
+
+export function isBarLine({ mean, stddev }) {
+  return stddev <= BAR_MAX_STDDEV && (mean <= BAR_DARK_MEAN || mean >= BAR_LIGHT_MEAN);
+}
+
+function countLeadingBars(bars, { allowChrome }) {
+  const maxChrome = Math.floor(bars.length * CHROME_MAX_RATIO);
+  const minGap = Math.max(Math.ceil(bars.length * CHROME_MIN_GAP_RATIO), 1);
+  let position = 0;
+
+  for (;;) {
+    while (position < bars.length && bars[position]) {
+      position += 1;
+    }
+
+    if (!allowChrome) {
+      return position;
+    }
+
+    let chromeEnd = position;
+    while (chromeEnd < bars.length && !bars[chromeEnd]) {
+      chromeEnd += 1;
+    }
+
+    let gapEnd = chromeEnd;
+    while (gapEnd < bars.length && bars[gapEnd]) {
+      gapEnd += 1;
+    }
+
+    if (chromeEnd - position > maxChrome || gapEnd - chromeEnd < minGap || gapEnd >= bars.length) {
+      return position;
+    }
+
+    position = gapEnd;
+  }
+}
+
+function trimBand(band, opposite, length) {
+  const edge = band <= length * BAR_EDGE_RATIO;
+  const symmetric = Math.abs(band - opposite) <= Math.max(length * BAR_SYMMETRY_RATIO, 1);
+  return edge || symmetric ? Math.min(band, Math.floor(length * BAR_MAX_RATIO)) : 0;
+}
+
+function findContentRange(bars, options) {
+  const leading = countLeadingBars(bars, options);
+  if (leading === bars.length) {
+    return { start: 0, size: bars.length };
+  }
+
+  const trailing = countLeadingBars([...bars].reverse(), options);
+  const start = trimBand(leading, trailing, bars.length);
+  const end = bars.length - trimBand(trailing, leading, bars.length);
+  return { start, size: end - start };
+}
+
+export function findContentBox(pixels, { width, height }) {
+  const rowBars = Array.from({ length: height }, (_, row) =>
+    isBarLine(measureLine(pixels, { offset: row * width, step: 1, count: width })),
+  );
+  const rows = findContentRange(rowBars, { allowChrome: true });
+
+  const columnBars = Array.from({ length: width }, (_, column) =>
+    isBarLine(
+      measureLine(pixels, { offset: rows.start * width + column, step: width, count: rows.size }),
+    ),
+  );
+  const columns = findContentRange(columnBars, { allowChrome: false });
+
+  if (rows.size === height && columns.size === width) {
+    return null;
+  }
+
+  return { left: columns.start, top: rows.start, width: columns.size, height: rows.size };
+}
+
+function scaleBox(box, analysis, { width, height }) {
+  const scaleX = width / analysis.width;
+  const scaleY = height / analysis.height;
+  const left = Math.min(Math.floor(box.left * scaleX), width - 1);
+  const top = Math.min(Math.floor(box.top * scaleY), height - 1);
+
+  return {
+    left,
+    top,
+    width: Math.min(Math.ceil(box.width * scaleX), width - left),
+    height: Math.min(Math.ceil(box.height * scaleY), height - top),
+  };
+}
+
+function openImage(buffer) {
+  return sharp(buffer, { animated: false }).rotate().flatten({ background: FLATTEN_BACKGROUND });
+}
+
+export async function preprocessImage(buffer) {
+  const metadata = await sharp(buffer, { animated: false }).metadata();
+  const rotated = (metadata.orientation ?? 1) >= 5;
+  const size = {
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height,
+  };
+
+  const { data, info } = await openImage(buffer)
+    .grayscale()
+    .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: "inside", withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const box = findContentBox(data, info);
+  const crop = box ? scaleBox(box, info, size) : null;
+  let pipeline = openImage(buffer);
+  if (crop) {
+    pipeline = pipeline.extract(crop);
+  }
+
+  const output = await pipeline
+    .resize(MAX_OUTPUT_DIMENSION, MAX_OUTPUT_DIMENSION, { fit: "inside", withoutEnlargement: true })
+    .jpeg({ quality: JPEG_QUALITY })
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    buffer: output.data,
+    mimeType: "image/jpeg",
+    width: output.info.width,
+    height: output.info.height,
+    original: size,
+    crop,
+  };
+}
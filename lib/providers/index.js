@@ -0,0 +1,116 @@
+import { ProcessingError } from "../errors.js";
+import { createFairQueue } from "../queue.js";
+import { logError } from "../utils.js";
+import { createSauceNaoProvider } from "./saucenao.js";
+import { createTraceMoeProvider } from "./tracemoe.js";
+
+const DEFAULT_PROVIDER_ORDER = "tracemoe,saucenao";
+const NON_FALLBACK_ERROR_CODES = new Set(["IMAGE_TOO_LARGE"]);
+
+export const PROVIDER_NAMES = {
+  tracemoe: "Trace.moe",
+  saucenao: "SauceNAO",
+};
+
+function readTimeoutMs(value) {
+  const parsed = Number.parseInt(value ?? "", 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : undefined;
+}
+
+export function createSearchProvidersFromEnv(env, { traceApiKey = "" } = {}) {
+  const order = (env.SEARCH_PROVIDERS || DEFAULT_PROVIDER_ORDER)
+    .split(",")
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean);
+  const providers = [];
+
+  for (const id of new Set(order)) {
+    if (id === "tracemoe") {
+      providers.push(
+        createTraceMoeProvider({
+          apiKeys: traceApiKey,
+          searchUrl: env.TRACE_SEARCH_URL?.trim() || undefined,
+          meUrl: env.TRACE_ME_URL?.trim() || undefined,
+          timeoutMs: readTimeoutMs(env.TRACE_TIMEOUT_MS),
+        }),
+      );
+      continue;
+    }
+
+    if (id === "saucenao") {
+      const apiKey = env.SAUCENAO_API_KEY?.trim() || "";
+      if (apiKey) {
+        providers.push(
+          createSauceNaoProvider({
+            apiKey,
+            searchUrl: env.SAUCENAO_SEARCH_URL?.trim() || undefined,
+          }),
+        );
+      }
+      continue;
+    }
+
+    throw new Error(`Unsupported search provider: ${id}`);
+  }
+
+  if (providers.length === 0) {
+    throw new Error("No search providers configured");
+  }
+
+  return providers;
+}
+
+export function createSearchRouter(providers) {
+  const queues = new Map(
+    providers.map((provider) => [
+      provider.id,
+      createFairQueue({ concurrency: () => provider.concurrency?.() ?? 1 }),
+    ]),
+  );
+
+  return {
+    providers,
+
+    async search(source, { queueKey = "default" } = {}) {
+      let firstError = null;
+
+      for (const provider of providers) {
+        if (!provider.supports(source)) {
+          continue;
+        }
+
+        try {
+          const results = await queues
+            .get(provider.id)
+            .enqueue(queueKey, () => provider.search(source));
+          return { provider: provider.id, results };
+        } catch (error) {
+          if (NON_FALLBACK_ERROR_CODES.has(error?.code)) {
+            throw error;
+          }
+
+          logError("Search provider failed", error, { provider: provider.id, code: error?.code });
+          firstError ??= error;
+        }
+      }
+
+      throw (
+        firstError ||
+        new ProcessingError("NO_SEARCH_PROVIDER", "No search provider supports this source")
+      );
+    },
+
+    async getStatuses() {
+      return Promise.all(
+        providers.map(async (provider) => {
+          try {
+            return { provider: provider.id, ok: true, status: await provider.getStatus() };
+          } catch (error) {
+            logError("Failed to fetch provider status", error, { provider: provider.id });
+            return { provider: provider.id, ok: false, error };
+          }
+        }),
+      );
+    },
+  };
+}
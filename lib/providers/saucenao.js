@@ -0,0 +1,197 @@
+import { isTimeoutError, ProcessingError } from "../errors.js";
+import { fetchWithTimeout, getFileExtensionForMime, safeJson } from "../utils.js";
+
+const DEFAULT_SAUCENAO_SEARCH_URL = "https://saucenao.com/search.php";
+const SAUCENAO_ANIME_DB = 21;
+const SAUCENAO_MAX_RESULTS = 10;
+const SAUCENAO_TIMEOUT_MS = 15_000;
+
+function toSafeNumber(value) {
+  const number = typeof value === "string" ? Number.parseFloat(value) : value;
+  return Number.isFinite(number) ? Number(number) : null;
+}
+
+function parseEstimatedTime(value) {
+  const match = /^(\d+):(\d{2}):(\d{2})/.exec(String(value || "").trim());
+  if (!match) {
+    return null;
+  }
+
+  return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+}
+
+function parseEpisode(value) {
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return value;
+  }
+
+  const text = typeof value === "string" ? value.trim() : "";
+  if (!text) {
+    return null;
+  }
+
+  return /^\d+$/.test(text) ? Number(text) : text;
+}
+
+export function normalizeSauceNaoResult(result) {
+  const header = result?.header || {};
+  const data = result?.data || {};
+  const anilistId = Number(data.anilist_id);
+  const similarity = toSafeNumber(header.similarity);
+  const time = parseEstimatedTime(data.est_time);
+  const sourceUrl = Array.isArray(data.ext_urls) ? data.ext_urls[0] : null;
+
+  return {
+    provider: "saucenao",
+    anilistId: Number.isInteger(anilistId) && anilistId > 0 ? anilistId : null,
+    title: typeof data.source === "string" && data.source.trim() ? data.source.trim() : null,
+    isAdult: Number(header.hidden) > 0,
+    episode: parseEpisode(data.part),
+    similarity: similarity === null ? null : similarity / 100,
+    from: time,
+    to: time,
+    image: typeof header.thumbnail === "string" ? header.thumbnail : null,
+    video: null,
+    sourceUrl: typeof sourceUrl === "string" ? sourceUrl : null,
+  };
+}
+
+function buildSauceNaoSearchRequest(source, { apiKey, searchUrl }) {
+  const params = new URLSearchParams({
+    output_type: "2",
+    db: String(SAUCENAO_ANIME_DB),
+    numres: String(SAUCENAO_MAX_RESULTS),
+    api_key: apiKey,
+  });
+
+  if (source.url) {
+    params.set("url", source.url);
+    return {
+      url: `${searchUrl}?${params}`,
+      init: { method: "GET" },
+    };
+  }
+
+  const mimeType = source.mimeType || "image/jpeg";
+  const form = new FormData();
+  form.append(
+    "file",
+    new Blob([source.buffer], { type: mimeType }),
+    `screenshot.${getFileExtensionForMime(mimeType)}`,
+  );
+
+  return {
+    url: `${searchUrl}?${params}`,
+    init: { method: "POST", body: form },
+  };
+}
+
+function readLimits(header) {
+  return {
+    longLimit: toSafeNumber(header?.long_limit),
+    longRemaining: toSafeNumber(header?.long_remaining),
+    shortLimit: toSafeNumber(header?.short_limit),
+    shortRemaining: toSafeNumber(header?.short_remaining),
+    checkedAt: Date.now(),
+  };
+}
+
+export function createSauceNaoProvider({ apiKey, searchUrl = DEFAULT_SAUCENAO_SEARCH_URL }) {
+  let limits = null;
+
+  async function search(source) {
+    const request = buildSauceNaoSearchRequest(source, { apiKey, searchUrl });
+
+    let response;
+    try {
+      response = await fetchWithTimeout(request.url, {
+        ...request.init,
+        timeoutMs: SAUCENAO_TIMEOUT_MS,
+        metric: { service: "saucenao", operation: "search" },
+      });
+    } catch (error) {
+      if (isTimeoutError(error)) {
+        throw new ProcessingError("TIMEOUT", "SauceNAO request timeout", error);
+      }
+
+      throw new ProcessingError("SAUCENAO_API_FAILURE", "SauceNAO request failed", error);
+    }
+
+    const payload = await safeJson(response);
+    if (payload?.header) {
+      limits = readLimits(payload.header);
+    }
+
+    if (response.status === 429) {
+      throw new ProcessingError(
+        "SAUCENAO_LIMIT_REACHED",
+        payload?.header?.message || "SauceNAO search limit reached",
+      );
+    }
+
+    if (!response.ok) {
+      throw new ProcessingError(
+        "SAUCENAO_API_FAILURE",
+        payload?.header?.message || `SauceNAO returned non-OK status: ${response.status}`,
+      );
+    }
+
+    const status = Number(payload?.header?.status);
+    if (!payload || !Number.isFinite(status)) {
+      throw new ProcessingError("SAUCENAO_INVALID_RESPONSE", "SauceNAO payload format was invalid");
+    }
+
+    if (status < 0 && source.url) {
+      throw new ProcessingError(
+        "IMAGE_URL_FAILED",
+        payload.header.message || "SauceNAO could not fetch the image URL",
+      );
+    }
+
+    if (status !== 0) {
+      throw new ProcessingError(
+        "SAUCENAO_API_FAILURE",
+        payload.header.message || `SauceNAO returned status ${status}`,
+      );
+    }
+
+    if (!Array.isArray(payload.results)) {
+      return [];
+    }
+
+    return payload.results
+      .filter((item) => item && typeof item === "object")
+      .map(normalizeSauceNaoResult)
+      .sort((a, b) => (b.similarity ?? 0) - (a.similarity ?? 0));
+  }
+
+  return {
+    id: "saucenao",
+    name: "SauceNAO",
+
+    supports(source) {
+      return Boolean(source.url) || String(source.mimeType || "").startsWith("image/");
+    },
+
+    search,
+
+    async getStatus() {
+      if (!limits) {
+        return { checked: false };
+      }
+
+      return {
+        checked: true,
+        quota: limits.longLimit,
+        remaining: limits.longRemaining,
+        quotaUsed:
+          limits.longLimit !== null && limits.longRemaining !== null
+            ? Math.max(limits.longLimit - limits.longRemaining, 0)
+            : null,
+        shortLimit: limits.shortLimit,
+        shortRemaining: limits.shortRemaining,
+        checkedAt: limits.checkedAt,
+      };
+    },
+  };
+}
@@ -0,0 +1,201 @@
+import { ProcessingError } from "../errors.js";
+import { logError } from "../utils.js";
+
+const TRACE_KEY_COOLDOWN_MS = 60_000;
+const TRACE_KEY_QUOTA_COOLDOWN_MS = 10 * 60_000;
+const TRACE_KEY_REFRESH_MS = 10 * 60_000;
+const DEFAULT_KEY_CONCURRENCY = 1;
+
+function toSafeNumber(value) {
+  const number = typeof value === "string" ? Number(value) : value;
+  return Number.isFinite(number) ? Number(number) : null;
+}
+
+function labelKey(key, index) {
+  return key ? `#${index + 1}` : "anonymous";
+}
+
+function getRemainingQuota(entry) {
+  if (entry.quota === null || entry.quotaUsed === null) {
+    return Infinity;
+  }
+
+  return Math.max(entry.quota - entry.quotaUsed, 0);
+}
+
+function readRateLimitReset(response) {
+  const reset = toSafeNumber(response?.headers?.get("x-ratelimit-reset"));
+  return reset === null ? null : reset * 1000;
+}
+
+export function parseTraceApiKeys(value) {
+  return [
+    ...new Set(
+      String(value || "")
+        .split(/[\s,]+/)
+        .map((key) => key.trim())
+        .filter(Boolean),
+    ),
+  ];
+}
+
+export function createTraceKeyPool({ keys, fetchQuota }) {
+  const entries = (keys.length > 0 ? keys : [""]).map((key, index) => ({
+    key,
+    label: labelKey(key, index),
+    id: null,
+    quota: null,
+    quotaUsed: null,
+    concurrency: DEFAULT_KEY_CONCURRENCY,
+    priority: null,
+    active: 0,
+    cooldownUntil: 0,
+    refreshedAt: 0,
+    error: null,
+  }));
+  const waiters = [];
+  let refreshing = null;
+
+  function isAvailable(entry, now) {
+    return entry.cooldownUntil <= now && getRemainingQuota(entry) > 0;
+  }
+
+  async function refreshEntry(entry) {
+    try {
+      const info = await fetchQuota(entry.key);
+      entry.id = typeof info.id === "string" && info.id.trim() ? info.id.trim() : null;
+      entry.quota = toSafeNumber(info.quota);
+      entry.quotaUsed = toSafeNumber(info.quotaUsed);
+      entry.concurrency = Math.max(toSafeNumber(info.concurrency) ?? DEFAULT_KEY_CONCURRENCY, 1);
+      entry.priority = toSafeNumber(info.priority);
+      entry.error = null;
+    } catch (error) {
+      logError("Failed to refresh Trace.moe key usage", error, { key: entry.label });
+      entry.error = error;
+    } finally {
+      entry.refreshedAt = Date.now();
+    }
+  }
+
+  async function refresh({ force = false } = {}) {
+    const now = Date.now();
+    const stale = entries.filter(
+      (entry) => force || entry.refreshedAt + TRACE_KEY_REFRESH_MS <= now,
+    );
+
+    if (stale.length === 0) {
+      return;
+    }
+
+    if (!force && refreshing) {
+      await refreshing;
+      return;
+    }
+
+    const task = Promise.all(stale.map(refreshEntry));
+    refreshing = task;
+    try {
+      await task;
+    } finally {
+      if (refreshing === task) {
+        refreshing = null;
+      }
+    }
+  }
+
+  function pickEntry(now) {
+    const candidates = entries.filter(
+      (entry) => isAvailable(entry, now) && entry.active < entry.concurrency,
+    );
+
+    candidates.sort(
+      (left, right) =>
+        getRemainingQuota(right) - getRemainingQuota(left) || left.active - right.active,
+    );
+    return candidates[0] || null;
+  }
+
+  return {
+    size() {
+      return entries.length;
+    },
+
+    capacity() {
+      const now = Date.now();
+      const total = entries
+        .filter((entry) => isAvailable(entry, now))
+        .reduce((sum, entry) => sum + entry.concurrency, 0);
+      return Math.max(total, 1);
+    },
+
+    async acquire() {
+      await refresh();
+
+      for (;;) {
+        const now = Date.now();
+        if (!entries.some((entry) => isAvailable(entry, now))) {
+          throw new ProcessingError(
+            "TRACE_LIMIT_REACHED",
+            "All Trace.moe keys are out of quota or cooling down",
+          );
+        }
+
+        const entry = pickEntry(now);
+        if (entry) {
+          entry.active += 1;
+          return entry;
+        }
+
+        await new Promise((resolve) => {
+          waiters.push(resolve);
+        });
+      }
+    },
+
+    release(entry) {
+      entry.active = Math.max(entry.active - 1, 0);
+      waiters.shift()?.();
+    },
+
+    recordSuccess(entry, response) {
+      if (entry.quotaUsed !== null) {
+        entry.quotaUsed += 1;
+      }
+
+      const remaining = toSafeNumber(response?.headers?.get("x-ratelimit-remaining"));
+      const resetAt = readRateLimitReset(response);
+      if (remaining === 0 && resetAt !== null) {
+        entry.cooldownUntil = resetAt;
+      }
+    },
+
+    recordLimited(entry, status, response) {
+      const now = Date.now();
+      if (status === 402) {
+        entry.cooldownUntil = now + TRACE_KEY_QUOTA_COOLDOWN_MS;
+        return;
+      }
+
+      const resetAt = readRateLimitReset(response);
+      entry.cooldownUntil = resetAt !== null && resetAt > now ? resetAt : now + TRACE_KEY_COOLDOWN_MS;
+    },
+
+    async getStatuses() {
+      await refresh({ force: true });
+      const now = Date.now();
+
+      return entries.map((entry) => ({
+        label: entry.label,
+        error: entry.error,
+        id: entry.id,
+        quota: entry.quota,
+        quotaUsed: entry.quotaUsed,
+        remaining:
+          entry.quota !== null && entry.quotaUsed !== null ? getRemainingQuota(entry) : null,
+        concurrency: entry.concurrency,
+        priority: entry.priority,
+        cooldownUntil: entry.cooldownUntil > now ? entry.cooldownUntil : null,
+      }));
+    },
+  };
+}
@@ -0,0 +1,241 @@
+import { pickMediaTitle } from "../anilist.js";
+import { isTimeoutError, ProcessingError } from "../errors.js";
+import { getRequestOutcome, metrics } from "../metrics.js";
+import { fetchWithTimeout, getFileExtensionForMime, logWarn, safeJson, sleep } from "../utils.js";
+import { createTraceKeyPool, parseTraceApiKeys } from "./tracekeys.js";
+
+const DEFAULT_TRACE_SEARCH_URL = "https://api.trace.moe/search";
+const DEFAULT_TRACE_ME_URL = "https://api.trace.moe/me";
+const TRACE_SEARCH_PARAMS = "anilistInfo&cutBorders";
+const DEFAULT_TRACE_TIMEOUT_MS = 15_000;
+const TRACE_SEARCH_RETRIES = 2;
+const TRACE_RETRY_BASE_DELAY_MS = 700;
+const TRACE_RETRYABLE_STATUSES = new Set([402, 429, 503]);
+const TRACE_KEY_LIMIT_STATUSES = new Set([402, 429]);
+
+function toSafeNumber(value) {
+  return Number.isFinite(value) ? Number(value) : null;
+}
+
+function buildTraceHeaders(apiKey) {
+  if (!apiKey) {
+    return undefined;
+  }
+
+  return {
+    "x-trace-key": apiKey,
+  };
+}
+
+export function normalizeTraceResult(result) {
+  const anilist = result?.anilist;
+  const anilistId = typeof anilist === "object" ? anilist?.id : anilist;
+  const filename = typeof result?.filename === "string" ? result.filename.trim() : "";
+
+  return {
+    provider: "tracemoe",
+    anilistId: Number.isInteger(anilistId) && anilistId > 0 ? anilistId : null,
+    title: (typeof anilist === "object" && pickMediaTitle(anilist?.title)) || filename || null,
+    isAdult: typeof anilist === "object" && anilist?.isAdult === true,
+    episode: result?.episode ?? null,
+    similarity: toSafeNumber(result?.similarity),
+    from: toSafeNumber(result?.from),
+    to: toSafeNumber(result?.to),
+    image: typeof result?.image === "string" ? result.image : null,
+    video: typeof result?.video === "string" ? result.video : null,
+    sourceUrl: null,
+  };
+}
+
+function withSearchParams(url, params) {
+  return `${url}${url.includes("?") ? "&" : "?"}${params}`;
+}
+
+async function fetchTraceQuotaInfo(apiKey, { meUrl, timeoutMs }) {
+  let response;
+  try {
+    response = await fetchWithTimeout(meUrl, {
+      method: "GET",
+      headers: buildTraceHeaders(apiKey),
+      timeoutMs,
+      metric: { service: "tracemoe", operation: "me" },
+    });
+  } catch (error) {
+    if (isTimeoutError(error)) {
+      throw new ProcessingError("TIMEOUT", "Trace.moe /me timeout", error);
+    }
+
+    throw new ProcessingError("TRACE_ME_FAILURE", "Trace.moe /me request failed", error);
+  }
+
+  if (!response.ok) {
+    throw new ProcessingError(
+      "TRACE_ME_FAILURE",
+      `Trace.moe /me returned non-OK status: ${response.status}`,
+    );
+  }
+
+  const payload = await safeJson(response);
+  if (!payload || typeof payload !== "object") {
+    throw new ProcessingError("TRACE_ME_FAILURE", "Trace.moe /me payload format was invalid");
+  }
+
+  return payload;
+}
+
+function buildTraceSearchRequest(source, apiKey, { searchUrl }) {
+  const url = withSearchParams(searchUrl, TRACE_SEARCH_PARAMS);
+  if (source.url) {
+    return {
+      url: `${url}&url=${encodeURIComponent(source.url)}`,
+      init: {
+        method: "GET",
+        headers: buildTraceHeaders(apiKey),
+      },
+    };
+  }
+
+  const mimeType = source.mimeType || "image/jpeg";
+  const filename = `screenshot.${getFileExtensionForMime(mimeType)}`;
+  const form = new FormData();
+  form.append("image", new Blob([source.buffer], { type: mimeType }), filename);
+
+  return {
+    url,
+    init: {
+      method: "POST",
+      body: form,
+      headers: buildTraceHeaders(apiKey),
+    },
+  };
+}
+
+function recordRetry(reason, meta) {
+  metrics.retries.inc({ service: "tracemoe", reason });
+  logWarn("Retrying Trace.moe search", { reason, ...meta });
+}
+
+async function searchTraceMoe(source, { pool, endpoints }) {
+  const maxAttempts = TRACE_SEARCH_RETRIES + pool.size();
+
+  for (let attempt = 0; attempt < maxAttempts; attempt += 1) {
+    const canRetry = attempt < maxAttempts - 1;
+    const entry = await pool.acquire();
+    const request = buildTraceSearchRequest(source, entry.key, endpoints);
+
+    let response;
+    let payload;
+    try {
+      response = await fetchWithTimeout(request.url, {
+        ...request.init,
+        timeoutMs: endpoints.timeoutMs,
+        metric: { service: "tracemoe", operation: "search" },
+      });
+      payload = await safeJson(response);
+    } catch (error) {
+      if (canRetry) {
+        recordRetry(getRequestOutcome({ error }), { attempt, key: entry.label });
+      }
+
+      if (isTimeoutError(error)) {
+        if (canRetry) {
+          await sleep(TRACE_RETRY_BASE_DELAY_MS * (attempt + 1));
+          continue;
+        }
+
+        throw new ProcessingError("TIMEOUT", "Trace.moe request timeout", error);
+      }
+
+      if (canRetry) {
+        await sleep(TRACE_RETRY_BASE_DELAY_MS * (attempt + 1));
+        continue;
+      }
+
+      throw new ProcessingError("TRACE_API_FAILURE", "Trace.moe request failed", error);
+    } finally {
+      pool.release(entry);
+    }
+
+    if (!response.ok) {
+      const keyLimited = TRACE_KEY_LIMIT_STATUSES.has(response.status);
+      if (keyLimited) {
+        pool.recordLimited(entry, response.status, response);
+      }
+
+      if (TRACE_RETRYABLE_STATUSES.has(response.status) && canRetry) {
+        recordRetry(getRequestOutcome({ response }), { attempt, key: entry.label });
+        if (!keyLimited) {
+          await sleep(TRACE_RETRY_BASE_DELAY_MS * (attempt + 1));
+        }
+        continue;
+      }
+
+      if (TRACE_RETRYABLE_STATUSES.has(response.status)) {
+        throw new ProcessingError(
+          "TRACE_LIMIT_REACHED",
+          payload?.error || `Trace.moe retryable limit status ${response.status}`,
+        );
+      }
+
+      if (source.url && response.status === 400) {
+        throw new ProcessingError(
+          "IMAGE_URL_FAILED",
+          payload?.error || "Trace.moe could not fetch the image URL",
+        );
+      }
+
+      throw new ProcessingError(
+        "TRACE_API_FAILURE",
+        payload?.error || `Trace.moe returned non-OK status: ${response.status}`,
+      );
+    }
+
+    pool.recordSuccess(entry, response);
+
+    if (!payload || !Array.isArray(payload.result)) {
+      throw new ProcessingError("TRACE_INVALID_RESPONSE", "Trace.moe payload format was invalid");
+    }
+
+    return payload.result.filter((item) => item && typeof item === "object");
+  }
+
+  throw new ProcessingError("TRACE_LIMIT_REACHED", "Trace.moe search retries exhausted");
+}
+
+export function createTraceMoeProvider({
+  apiKeys = "",
+  searchUrl = DEFAULT_TRACE_SEARCH_URL,
+  meUrl = DEFAULT_TRACE_ME_URL,
+  timeoutMs = DEFAULT_TRACE_TIMEOUT_MS,
+} = {}) {
+  const keys = parseTraceApiKeys(apiKeys);
+  const endpoints = { searchUrl, meUrl, timeoutMs };
+  const fetchQuota = (apiKey) => fetchTraceQuotaInfo(apiKey, endpoints);
+  const pool = createTraceKeyPool({ keys, fetchQuota });
+
+  return {
+    id: "tracemoe",
+    name: "Trace.moe",
+
+    supports() {
+      return true;
+    },
+
+    concurrency() {
+      return pool.capacity();
+    },
+
+    async search(source) {
+      const results = await searchTraceMoe(source, { pool, endpoints });
+      return results.map(normalizeTraceResult);
+    },
+
+    async getStatus() {
+      return { keys: await pool.getStatuses() };
+    },
+
+    async ping() {
+      await fetchQuota(keys[0] || "");
+    },
+  };
+}
@@ -0,0 +1,124 @@
+const DEFAULT_MIN_SIMILARITY = 0.8;
+const DEFAULT_CONFIDENT_SIMILARITY = 0.9;
+
+function readSimilarity(value, fallback) {
+  const parsed = Number.parseFloat(value ?? "");
+  if (!Number.isFinite(parsed) || parsed < 0 || parsed > 100) {
+    return fallback;
+  }
+
+  return parsed > 1 ? parsed / 100 : parsed;
+}
+
+function getSimilarity(result) {
+  return typeof result?.similarity === "number" && Number.isFinite(result.similarity)
+    ? result.similarity
+    : null;
+}
+
+function getDuplicateKey(result) {
+  const anime = result?.anilistId ?? result?.title;
+  if (!anime) {
+    return null;
+  }
+
+  return `${anime}:${result.episode ?? ""}`;
+}
+
+function pickBound(values, pick) {
+  const numbers = values.filter((value) => typeof value === "number");
+  return numbers.length > 0 ? pick(...numbers) : null;
+}
+
+export function loadQualityConfig(env = process.env) {
+  const minSimilarity = readSimilarity(env.MIN_SIMILARITY, DEFAULT_MIN_SIMILARITY);
+  return {
+    minSimilarity,
+    confidentSimilarity: Math.max(
+      readSimilarity(env.CONFIDENT_SIMILARITY, DEFAULT_CONFIDENT_SIMILARITY),
+      minSimilarity,
+    ),
+  };
+}
+
+export function collapseDuplicateResults(results) {
+  const merged = new Map();
+  const unique = [];
+
+  for (const result of results) {
+    const key = getDuplicateKey(result);
+    const existing = key ? merged.get(key) : null;
+    if (!existing) {
+      const copy = { ...result };
+      unique.push(copy);
+      if (key) {
+        merged.set(key, copy);
+      }
+      continue;
+    }
+
+    existing.from = pickBound([existing.from, result.from], Math.min);
+    existing.to = pickBound([existing.to, result.to], Math.max);
+    if ((getSimilarity(result) ?? -1) > (getSimilarity(existing) ?? -1)) {
+      existing.similarity = result.similarity;
+    }
+  }
+
+  return unique;
+}
+
+export function rankResults(results, { minSimilarity, confidentSimilarity }) {
+  const ranked = collapseDuplicateResults(results).map((result) => {
+    const similarity = getSimilarity(result);
+    return {
+      ...result,
+      possibleMatch: similarity !== null && similarity < confidentSimilarity,
+    };
+  });
+
+  return {
+    accepted: ranked.filter((result) => (getSimilarity(result) ?? 0) >= minSimilarity),
+    rejected: ranked.filter((result) => (getSimilarity(result) ?? 0) < minSimilarity),
+  };
+}
+
+export function combineAlbumResults(images) {
+  const groups = new Map();
+
+  images.forEach((results, imageIndex) => {
+    for (const result of results) {
+      const key = getDuplicateKey(result);
+      if (!key) {
+        continue;
+      }
+
+      const group = groups.get(key) ?? { results: [], votes: new Map() };
+      groups.set(key, group);
+      group.results.push(result);
+      group.votes.set(
+        imageIndex,
+        Math.max(group.votes.get(imageIndex) ?? 0, getSimilarity(result) ?? 0),
+      );
+    }
+  });
+
+  return [...groups.values()]
+    .map(({ results, votes }) => {
+      const best = results.reduce((left, right) =>
+        (getSimilarity(right) ?? -1) > (getSimilarity(left) ?? -1) ? right : left,
+      );
+      const scores = [...votes.values()];
+
+      return {
+        ...best,
+        similarity: scores.reduce((sum, score) => sum + score, 0) / scores.length,
+        from: pickBound(results.map((result) => result.from), Math.min),
+        to: pickBound(results.map((result) => result.to), Math.max),
+        frames: { matched: scores.length, total: images.length },
+      };
+    })
+    .sort(
+      (left, right) =>
+        right.frames.matched - left.frames.matched || right.similarity - left.similarity,
+    );
+}
@@ -0,0 +1,48 @@
+export function createFairQueue({ concurrency = 1 } = {}) {
+  const queues = new Map();
+  let active = 0;
+  let pending = 0;
+
+  function getLimit() {
+    return typeof concurrency === "function" ? concurrency() : concurrency;
+  }
+
+  function pump() {
+    while (active < getLimit() && queues.size > 0) {
+      const [key, jobs] = queues.entries().next().value;
+      const job = jobs.shift();
+
+      queues.delete(key);
+      if (jobs.length > 0) {
+        queues.set(key, jobs);
+      }
+
+      active += 1;
+      pending -= 1;
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          active -= 1;
+          pump();
+        });
+    }
+  }
+
+  return {
+    enqueue(key, task) {
+      return new Promise((resolve, reject) => {
+        const queueKey = String(key);
+        const jobs = queues.get(queueKey) || [];
+        jobs.push({ task, resolve, reject });
+        queues.set(queueKey, jobs);
+        pending += 1;
+        pump();
+      });
+    },
+
+    size() {
+      return { active, pending };
+    },
+  };
+}
@@ -0,0 +1,141 @@
+const RATE_LIMIT_COLLECTION = "rateLimits";
+
+export const RATE_LIMIT_WINDOWS = {
+  minute: 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+};
+
+const DEFAULT_LIMITS = {
+  user: { minute: 5, day: 100 },
+  chat: { minute: 20, day: 500 },
+};
+
+function readLimit(value, fallback) {
+  const parsed = Number.parseInt(value ?? "", 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+export function parseIdList(value) {
+  return new Set(
+    String(value || "")
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean),
+  );
+}
+
+export function loadRateLimitConfig(env = process.env) {
+  return {
+    user: {
+      minute: readLimit(env.RATE_LIMIT_USER_PER_MINUTE, DEFAULT_LIMITS.user.minute),
+      day: readLimit(env.RATE_LIMIT_USER_PER_DAY, DEFAULT_LIMITS.user.day),
+    },
+    chat: {
+      minute: readLimit(env.RATE_LIMIT_CHAT_PER_MINUTE, DEFAULT_LIMITS.chat.minute),
+      day: readLimit(env.RATE_LIMIT_CHAT_PER_DAY, DEFAULT_LIMITS.chat.day),
+    },
+    adminIds: parseIdList(env.ADMIN_USER_IDS),
+  };
+}
+
+function getWindowStart(window, now) {
+  const size = RATE_LIMIT_WINDOWS[window];
+  return Math.floor(now / size) * size;
+}
+
+function listCounters(config, { userId, chatId }) {
+  const counters = [];
+
+  for (const [scope, id] of [
+    ["user", userId],
+    ["chat", chatId],
+  ]) {
+    if (id === null || typeof id === "undefined") {
+      continue;
+    }
+
+    for (const window of Object.keys(RATE_LIMIT_WINDOWS)) {
+      const limit = config[scope][window];
+      if (limit > 0) {
+        counters.push({ scope, window, limit, key: `${scope}:${id}:${window}` });
+      }
+    }
+  }
+
+  return counters;
+}
+
+export async function getRateLimitRemaining(
+  storage,
+  config,
+  { userId, chatId, now = Date.now() },
+) {
+  if (userId !== null && config.adminIds.has(String(userId))) {
+    return Infinity;
+  }
+
+  let remaining = Infinity;
+  for (const counter of listCounters(config, { userId, chatId })) {
+    const state = await storage.get(RATE_LIMIT_COLLECTION, counter.key);
+    const count = readCount(state, getWindowStart(counter.window, now));
+    remaining = Math.min(remaining, Math.max(counter.limit - count, 0));
+  }
+
+  return remaining;
+}
+
+function readCount(state, windowStart) {
+  return state?.windowStart === windowStart ? state.count : 0;
+}
+
+function addToCounter(storage, counter, windowStart, delta) {
+  return storage.update(RATE_LIMIT_COLLECTION, counter.key, (state) => ({
+    windowStart,
+    count: Math.max(readCount(state, windowStart) + delta, 0),
+    expiresAt: windowStart + RATE_LIMIT_WINDOWS[counter.window],
+  }));
+}
+
+export async function consumeRateLimit(
+  storage,
+  config,
+  { userId, chatId, cost = 1, now = Date.now() },
+) {
+  if (userId !== null && config.adminIds.has(String(userId))) {
+    return { allowed: true };
+  }
+
+  const consumed = [];
+
+  for (const counter of listCounters(config, { userId, chatId })) {
+    const windowStart = getWindowStart(counter.window, now);
+    let allowed = false;
+    await storage.update(RATE_LIMIT_COLLECTION, counter.key, (state) => {
+      const count = readCount(state, windowStart);
+      allowed = count + cost <= counter.limit;
+      return {
+        windowStart,
+        count: allowed ? count + cost : count,
+        expiresAt: windowStart + RATE_LIMIT_WINDOWS[counter.window],
+      };
+    });
+
+    if (!allowed) {
+      for (const done of consumed) {
+        await addToCounter(storage, done, getWindowStart(done.window, now), -cost);
+      }
+
+      return {
+        allowed: false,
+        scope: counter.scope,
+        window: counter.window,
+        limit: counter.limit,
+        resetAt: windowStart + RATE_LIMIT_WINDOWS[counter.window],
+      };
+    }
+
+    consumed.push(counter);
+  }
+
+  return { allowed: true };
+}
@@ -0,0 +1,31 @@
+import { fetchWithTimeout, safeJson } from "./utils.js";
+
+const REDIS_TIMEOUT_MS = 5_000;
+
+export function createRedisClient({ url, token }) {
+  if (!url) {
+    throw new Error("Missing Redis REST URL");
+  }
+
+  async function command(...args) {
+    const response = await fetchWithTimeout(url, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        ...(token ? { authorization: `Bearer ${token}` } : {}),
+      },
+      body: JSON.stringify(args),
+      timeoutMs: REDIS_TIMEOUT_MS,
+      metric: { service: "redis", operation: String(args[0]).toLowerCase() },
+    });
+
+    const payload = await safeJson(response);
+    if (!response.ok || payload?.error) {
+      throw new Error(`Redis command ${args[0]} failed: ${payload?.error || `HTTP ${response.status}`}`);
+    }
+
+    return payload?.result ?? null;
+  }
+
+  return { command };
+}
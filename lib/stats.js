@@ -0,0 +1,75 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOP_TITLES_LIMIT = 5;
+
+function toDayKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+function sortCounts(counts) {
+  return [...counts.values()].sort(
+    (left, right) => right.count - left.count || String(left.label).localeCompare(right.label),
+  );
+}
+
+function increment(counts, key, label) {
+  const entry = counts.get(key) || { label, count: 0 };
+  entry.count += 1;
+  counts.set(key, entry);
+}
+
+export function getStatsWindowStart(days, now = Date.now()) {
+  return Math.floor(now / DAY_MS) * DAY_MS - (days - 1) * DAY_MS;
+}
+
+export function summarizeActivity({ searches, errors, days, now = Date.now() }) {
+  const since = getStatsWindowStart(days, now);
+  const perDay = new Map();
+  const titles = new Map();
+  const errorCodes = new Map();
+  let total = 0;
+  let cached = 0;
+
+  for (let day = since; day <= now; day += DAY_MS) {
+    perDay.set(toDayKey(day), { day: toDayKey(day), searches: 0, cached: 0 });
+  }
+
+  for (const search of searches) {
+    if (search.createdAt < since) {
+      continue;
+    }
+
+    const bucket = perDay.get(toDayKey(search.createdAt));
+    total += 1;
+    if (bucket) {
+      bucket.searches += 1;
+    }
+
+    if (search.cached) {
+      cached += 1;
+      if (bucket) {
+        bucket.cached += 1;
+      }
+    }
+
+    const title = search.topResult?.title;
+    if (title) {
+      increment(titles, search.topResult.anilistId ?? title, title);
+    }
+  }
+
+  for (const error of errors) {
+    if (error.createdAt >= since) {
+      increment(errorCodes, error.code, error.code);
+    }
+  }
+
+  return {
+    since,
+    total,
+    cached,
+    hitRate: total > 0 ? cached / total : null,
+    perDay: [...perDay.values()],
+    topTitles: sortCounts(titles).slice(0, TOP_TITLES_LIMIT),
+    errorCodes: sortCounts(errorCodes),
+  };
+}
@@ -0,0 +1,381 @@
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+import { createRedisClient } from "./redis.js";
+import { logError } from "./utils.js";
+
+const DEFAULT_STORAGE_FILE = ".data/storage.json";
+const DEFAULT_REDIS_STORAGE_PREFIX = "wab:db:";
+const STORAGE_SWEEP_INTERVAL_MS = 5 * 60_000;
+const FILE_FLUSH_DELAY_MS = 1_000;
+const REDIS_UPDATE_MAX_ATTEMPTS = 5;
+const REDIS_WRITE_SCRIPT = `
+if ARGV[1] == "1" and (redis.call("GET", KEYS[1]) or "") ~= ARGV[2] then
+  return 0
+end
+redis.call("ZREMRANGEBYSCORE", KEYS[2], "-inf", ARGV[7])
+if ARGV[3] == "" then
+  redis.call("DEL", KEYS[1])
+  redis.call("ZREM", KEYS[2], ARGV[5])
+  return 1
+end
+if ARGV[4] == "0" then
+  redis.call("SET", KEYS[1], ARGV[3])
+else
+  redis.call("SET", KEYS[1], ARGV[3], "PX", ARGV[4])
+end
+redis.call("ZADD", KEYS[2], ARGV[6], ARGV[5])
+return 1
+`;
+
+function toKey(id) {
+  return String(id);
+}
+
+function cloneDocument(doc) {
+  return doc === null || typeof doc === "undefined" ? null : structuredClone(doc);
+}
+
+function isExpired(doc, now) {
+  return typeof doc?.expiresAt === "number" && doc.expiresAt <= now;
+}
+
+function readLive(data, collection, key, now) {
+  const doc = data[collection]?.[key];
+  return isExpired(doc, now) ? null : doc;
+}
+
+function sweepExpired(data, now = Date.now()) {
+  let removed = 0;
+  for (const docs of Object.values(data)) {
+    for (const [key, doc] of Object.entries(docs || {})) {
+      if (isExpired(doc, now)) {
+        delete docs[key];
+        removed += 1;
+      }
+    }
+  }
+
+  return removed;
+}
+
+function startSweeper(sweep, intervalMs) {
+  if (!intervalMs) {
+    return null;
+  }
+
+  const timer = setInterval(() => {
+    sweep().catch((error) => {
+      logError("Failed to sweep expired documents", error);
+    });
+  }, intervalMs);
+  timer.unref?.();
+  return timer;
+}
+
+function buildStorage({ read, write }) {
+  return {
+    async get(collection, id) {
+      return read((data) => cloneDocument(readLive(data, collection, toKey(id), Date.now())));
+    },
+
+    async put(collection, id, doc) {
+      return write((data) => {
+        data[collection] ||= {};
+        data[collection][toKey(id)] = cloneDocument(doc);
+        return cloneDocument(doc);
+      });
+    },
+
+    async update(collection, id, updater) {
+      return write((data) => {
+        data[collection] ||= {};
+        const key = toKey(id);
+        const next = updater(cloneDocument(readLive(data, collection, key, Date.now())));
+
+        if (next === null || typeof next === "undefined") {
+          delete data[collection][key];
+          return null;
+        }
+
+        data[collection][key] = cloneDocument(next);
+        return cloneDocument(next);
+      });
+    },
+
+    async delete(collection, id) {
+      return write((data) => {
+        if (data[collection]) {
+          delete data[collection][toKey(id)];
+        }
+      });
+    },
+
+    async list(collection, filter) {
+      return read((data) => {
+        const now = Date.now();
+        const docs = Object.values(data[collection] || {}).filter((doc) => !isExpired(doc, now));
+        return (filter ? docs.filter(filter) : docs).map(cloneDocument);
+      });
+    },
+
+    async deleteWhere(collection, predicate) {
+      return write((data) => {
+        let removed = 0;
+        for (const [key, doc] of Object.entries(data[collection] || {})) {
+          if (predicate(doc)) {
+            delete data[collection][key];
+            removed += 1;
+          }
+        }
+
+        return removed;
+      });
+    },
+
+    async sweep() {
+      return write((data) => sweepExpired(data));
+    },
+  };
+}
+
+export function createMemoryStorage({ sweepIntervalMs = STORAGE_SWEEP_INTERVAL_MS } = {}) {
+  const data = {};
+  const storage = buildStorage({
+    read: async (operation) => operation(data),
+    write: async (operation) => operation(data),
+  });
+  const sweeper = startSweeper(storage.sweep, sweepIntervalMs);
+
+  return {
+    ...storage,
+    backend: "memory",
+    shared: false,
+
+    async flush() {},
+
+    async close() {
+      clearInterval(sweeper);
+    },
+  };
+}
+
+export function createFileStorage({
+  filePath = DEFAULT_STORAGE_FILE,
+  flushDelayMs = FILE_FLUSH_DELAY_MS,
+  sweepIntervalMs = STORAGE_SWEEP_INTERVAL_MS,
+} = {}) {
+  let data = null;
+  let loading = null;
+  let dirty = false;
+  let flushTimer = null;
+  let saving = Promise.resolve();
+
+  async function load() {
+    try {
+      const parsed = JSON.parse(await readFile(filePath, "utf8"));
+      return parsed && typeof parsed === "object" ? parsed : {};
+    } catch (error) {
+      if (error?.code === "ENOENT") {
+        return {};
+      }
+
+      throw error;
+    }
+  }
+
+  async function save(snapshot) {
+    const tempPath = `${filePath}.tmp`;
+    await mkdir(dirname(filePath), { recursive: true });
+    await writeFile(tempPath, snapshot);
+    await rename(tempPath, filePath);
+  }
+
+  async function getData() {
+    if (data) {
+      return data;
+    }
+
+    loading ??= load().then((loaded) => {
+      sweepExpired(loaded);
+      data ??= loaded;
+      return data;
+    });
+    return loading;
+  }
+
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (dirty) {
+      dirty = false;
+      const snapshot = JSON.stringify(data);
+      saving = saving
+        .then(() => save(snapshot))
+        .catch((error) => {
+          dirty = true;
+          logError("Failed to write storage file", error, { filePath });
+        });
+    }
+
+    return saving;
+  }
+
+  function scheduleFlush() {
+    dirty = true;
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, flushDelayMs);
+      flushTimer.unref?.();
+    }
+  }
+
+  const storage = buildStorage({
+    async read(operation) {
+      return operation(await getData());
+    },
+
+    async write(operation) {
+      const result = operation(await getData());
+      scheduleFlush();
+      return result;
+    },
+  });
+  const sweeper = startSweeper(storage.sweep, sweepIntervalMs);
+
+  return {
+    ...storage,
+    backend: "file",
+    shared: false,
+    flush,
+
+    async close() {
+      clearInterval(sweeper);
+      await flush();
+    },
+  };
+}
+
+export function createRedisStorage({ url, token, prefix = DEFAULT_REDIS_STORAGE_PREFIX }) {
+  const { command } = createRedisClient({ url, token });
+
+  function docKey(collection, key) {
+    return `${prefix}{${collection}}:${key}`;
+  }
+
+  function indexKey(collection) {
+    return `${prefix}{${collection}}`;
+  }
+
+  function parse(raw, now) {
+    const doc = typeof raw === "string" ? JSON.parse(raw) : null;
+    return isExpired(doc, now) ? null : doc;
+  }
+
+  async function write(collection, key, doc, { expected = null, compare = false } = {}) {
+    const now = Date.now();
+    const expiresAt = typeof doc?.expiresAt === "number" ? Math.ceil(doc.expiresAt) : null;
+    const raw =
+      doc === null || typeof doc === "undefined" || isExpired(doc, now) ? "" : JSON.stringify(doc);
+    const written = await command(
+      "EVAL",
+      REDIS_WRITE_SCRIPT,
+      "2",
+      docKey(collection, key),
+      indexKey(collection),
+      compare ? "1" : "0",
+      expected ?? "",
+      raw,
+      expiresAt === null ? "0" : String(expiresAt - now),
+      key,
+      expiresAt === null ? "+inf" : String(expiresAt),
+      String(now),
+    );
+
+    return Number(written) === 1;
+  }
+
+  async function listEntries(collection) {
+    const now = Date.now();
+    const keys = await command("ZRANGEBYSCORE", indexKey(collection), `(${now}`, "+inf");
+    if (!Array.isArray(keys) || keys.length === 0) {
+      return [];
+    }
+
+    const raws = await command("MGET", ...keys.map((key) => docKey(collection, key)));
+    return keys.map((key, index) => [key, parse(raws[index], now)]).filter(([, doc]) => doc);
+  }
+
+  return {
+    backend: "redis",
+    shared: true,
+
+    async get(collection, id) {
+      return parse(await command("GET", docKey(collection, toKey(id))), Date.now());
+    },
+
+    async put(collection, id, doc) {
+      await write(collection, toKey(id), doc);
+      return cloneDocument(doc);
+    },
+
+    async update(collection, id, updater) {
+      const key = toKey(id);
+
+      for (let attempt = 0; attempt < REDIS_UPDATE_MAX_ATTEMPTS; attempt += 1) {
+        const raw = await command("GET", docKey(collection, key));
+        const next = updater(parse(raw, Date.now()));
+        if (await write(collection, key, next, { expected: raw, compare: true })) {
+          return cloneDocument(next);
+        }
+      }
+
+      throw new Error(`Concurrent updates kept conflicting on ${collection}:${key}`);
+    },
+
+    async delete(collection, id) {
+      await write(collection, toKey(id), null);
+    },
+
+    async list(collection, filter) {
+      const docs = (await listEntries(collection)).map(([, doc]) => doc);
+      return filter ? docs.filter(filter) : docs;
+    },
+
+    async deleteWhere(collection, predicate) {
+      const entries = (await listEntries(collection)).filter(([, doc]) => predicate(doc));
+      for (const [key] of entries) {
+        await write(collection, key, null);
+      }
+
+      return entries.length;
+    },
+
+    async sweep() {
+      return 0;
+    },
+
+    async flush() {},
+
+    async close() {},
+  };
+}
+
+export function createStorageFromEnv(env = process.env) {
+  const backend = (env.STORAGE_BACKEND || (env.VERCEL ? "redis" : "memory")).trim().toLowerCase();
+
+  if (backend === "file") {
+    return createFileStorage({ filePath: env.STORAGE_FILE || DEFAULT_STORAGE_FILE });
+  }
+
+  if (backend === "redis") {
+    return createRedisStorage({
+      url: env.STORAGE_REDIS_URL || env.RESULT_CACHE_REDIS_URL || env.KV_REST_API_URL,
+      token: env.STORAGE_REDIS_TOKEN || env.RESULT_CACHE_REDIS_TOKEN || env.KV_REST_API_TOKEN,
+    });
+  }
+
+  if (backend !== "memory") {
+    throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+
+  return createMemoryStorage();
+}
@@ -1,17 +1,25 @@
 import { fetchWithTimeout, safeJson, trimForTelegram } from "./utils.js";
 
-const TELEGRAM_API_BASE = "https://api.telegram.org";
+const DEFAULT_TELEGRAM_API_BASE = "https://api.telegram.org";
 const TELEGRAM_TIMEOUT_MS = 12_000;
 
+function getTelegramApiBase() {
+  return (process.env.TELEGRAM_API_BASE?.trim() || DEFAULT_TELEGRAM_API_BASE).replace(/\/+$/, "");
+}
+
 function buildTelegramMethodUrl(token, method) {
-  return `${TELEGRAM_API_BASE}/bot${token}/${method}`;
+  return `${getTelegramApiBase()}/bot${token}/${method}`;
 }
 
 function buildTelegramFileUrl(token, filePath) {
-  return `${TELEGRAM_API_BASE}/file/bot${token}/${filePath}`;
+  return `${getTelegramApiBase()}/file/bot${token}/${filePath}`;
 }
 
-async function callTelegramApi(token, method, { json, formData } = {}) {
+async function callTelegramApi(
+  token,
+  method,
+  { json, formData, timeoutMs = TELEGRAM_TIMEOUT_MS, signal } = {},
+) {
   if (!token) {
     throw new Error("Missing Telegram bot token");
   }
@@ -21,39 +29,60 @@ async function callTelegramApi(token, method, { json, formData } = {}) {
     method: "POST",
     headers: hasJsonBody ? { "content-type": "application/json" } : undefined,
     body: hasJsonBody ? JSON.stringify(json) : formData,
-    timeoutMs: TELEGRAM_TIMEOUT_MS,
+    timeoutMs,
+    signal,
+    metric: { service: "telegram", operation: method },
   });
 
   const payload = await safeJson(response);
 
   if (!response.ok || !payload?.ok) {
     const reason = payload?.description || `HTTP ${response.status}`;
-    throw new Error(`Telegram API ${method} failed: ${reason}`);
+    const error = new Error(`Telegram API ${method} failed: ${reason}`);
+    error.status = payload?.error_code ?? response.status;
+    error.description = payload?.description ?? null;
+    error.retryAfter = payload?.parameters?.retry_after ?? null;
+    throw error;
   }
 
   return payload.result;
 }
 
-export async function sendMessage(token, { chatId, text }) {
-  return callTelegramApi(token, "sendMessage", {
-    json: {
-      chat_id: chatId,
-      text: trimForTelegram(text, 3900),
-      disable_web_page_preview: true,
-    },
-  });
+export async function sendMessage(token, { chatId, text, replyMarkup }) {
+  const payload = {
+    chat_id: chatId,
+    text: trimForTelegram(text, 3900),
+    disable_web_page_preview: true,
+  };
+
+  if (replyMarkup) {
+    payload.reply_markup = replyMarkup;
+  }
+
+  return callTelegramApi(token, "sendMessage", { json: payload });
 }
 
-export async function sendPhoto(token, { chatId, photoUrl, caption = "" }) {
+export async function sendPhoto(
+  token,
+  { chatId, photoUrl, caption = "", replyMarkup, hasSpoiler = false },
+) {
   const payload = {
     chat_id: chatId,
     photo: photoUrl,
   };
 
+  if (hasSpoiler) {
+    payload.has_spoiler = true;
+  }
+
   if (caption) {
     payload.caption = trimForTelegram(caption, 1024);
   }
 
+  if (replyMarkup) {
+    payload.reply_markup = replyMarkup;
+  }
+
   return callTelegramApi(token, "sendPhoto", { json: payload });
 }
 
@@ -71,6 +100,153 @@ export async function sendVideo(token, { chatId, videoUrl, caption = "" }) {
   return callTelegramApi(token, "sendVideo", { json: payload });
 }
 
+export async function sendChatAction(token, { chatId, action = "typing" }) {
+  return callTelegramApi(token, "sendChatAction", {
+    json: {
+      chat_id: chatId,
+      action,
+    },
+  });
+}
+
+export async function deleteMessage(token, { chatId, messageId }) {
+  return callTelegramApi(token, "deleteMessage", {
+    json: {
+      chat_id: chatId,
+      message_id: messageId,
+    },
+  });
+}
+
+export async function editMessageMedia(
+  token,
+  { chatId, messageId, media: { type, url, caption = "", hasSpoiler = false }, replyMarkup },
+) {
+  const media = {
+    type,
+    media: url,
+  };
+
+  if (hasSpoiler) {
+    media.has_spoiler = true;
+  }
+
+  if (caption) {
+    media.caption = trimForTelegram(caption, 1024);
+  }
+
+  if (type === "video") {
+    media.supports_streaming = true;
+  }
+
+  const payload = {
+    chat_id: chatId,
+    message_id: messageId,
+    media,
+  };
+
+  if (replyMarkup) {
+    payload.reply_markup = replyMarkup;
+  }
+
+  return callTelegramApi(token, "editMessageMedia", { json: payload });
+}
+
+export async function editMessageCaption(token, { chatId, messageId, caption = "", replyMarkup }) {
+  const payload = {
+    chat_id: chatId,
+    message_id: messageId,
+    caption: trimForTelegram(caption, 1024),
+  };
+
+  if (replyMarkup) {
+    payload.reply_markup = replyMarkup;
+  }
+
+  return callTelegramApi(token, "editMessageCaption", { json: payload });
+}
+
+export async function editMessageText(token, { chatId, messageId, text, replyMarkup }) {
+  const payload = {
+    chat_id: chatId,
+    message_id: messageId,
+    text: trimForTelegram(text, 3900),
+    disable_web_page_preview: true,
+  };
+
+  if (replyMarkup) {
+    payload.reply_markup = replyMarkup;
+  }
+
+  return callTelegramApi(token, "editMessageText", { json: payload });
+}
+
+export async function answerCallbackQuery(token, { callbackQueryId, text = "", showAlert = false }) {
+  const payload = {
+    callback_query_id: callbackQueryId,
+  };
+
+  if (text) {
+    payload.text = trimForTelegram(text, 200);
+    payload.show_alert = showAlert;
+  }
+
+  return callTelegramApi(token, "answerCallbackQuery", { json: payload });
+}
+
+export async function answerInlineQuery(
+  token,
+  { inlineQueryId, results, cacheTime = 300, isPersonal = false, nextOffset = "" },
+) {
+  return callTelegramApi(token, "answerInlineQuery", {
+    json: {
+      inline_query_id: inlineQueryId,
+      results,
+      cache_time: cacheTime,
+      is_personal: isPersonal,
+      next_offset: nextOffset,
+    },
+  });
+}
+
+export async function getUpdates(token, { offset, timeout = 30, allowedUpdates, signal }) {
+  const payload = {
+    offset,
+    timeout,
+  };
+
+  if (allowedUpdates) {
+    payload.allowed_updates = allowedUpdates;
+  }
+
+  return callTelegramApi(token, "getUpdates", {
+    json: payload,
+    timeoutMs: (timeout + 10) * 1000,
+    signal,
+  });
+}
+
+export async function deleteWebhook(token, { dropPendingUpdates = false } = {}) {
+  return callTelegramApi(token, "deleteWebhook", {
+    json: {
+      drop_pending_updates: dropPendingUpdates,
+    },
+  });
+}
+
+export async function getMe(token) {
+  return callTelegramApi(token, "getMe");
+}
+
+export async function getChatMember(token, { chatId, userId }) {
+  return callTelegramApi(token, "getChatMember", {
+    json: {
+      chat_id: chatId,
+      user_id: userId,
+    },
+  });
+}
+
 export async function getFile(token, { fileId }) {
   return callTelegramApi(token, "getFile", {
     json: {
@@ -94,6 +270,7 @@ export async function downloadFileBuffer(
   const response = await fetchWithTimeout(buildTelegramFileUrl(token, filePath), {
     method: "GET",
     timeoutMs,
+    metric: { service: "telegram", operation: "downloadFile" },
   });
 
   if (!response.ok) {
@@ -1,3 +1,8 @@
+import { logDebug } from "./logger.js";
+import { getRequestOutcome, metrics } from "./metrics.js";
+
+export { logDebug, logError, logInfo, logWarn } from "./logger.js";
+
 export const FETCH_TIMEOUT_MS = 12_000;
 
 export function trimForTelegram(text, maxLength = 3900) {
@@ -9,18 +14,84 @@ export function trimForTelegram(text, maxLength = 3900) {
   return `${normalized.slice(0, Math.max(maxLength - 1, 0))}…`;
 }
 
+const MIME_EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/bmp": "bmp",
+  "video/mp4": "mp4",
+  "video/webm": "webm",
+  "video/quicktime": "mov",
+  "video/x-matroska": "mkv",
+};
+
+function startsWithBytes(buffer, bytes, offset = 0) {
+  if (buffer.length < offset + bytes.length) {
+    return false;
+  }
+
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+export function detectMimeType(buffer) {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+
+  if (startsWithBytes(buffer, [0xff, 0xd8, 0xff])) {
+    return "image/jpeg";
+  }
+
+  if (startsWithBytes(buffer, [0x89, 0x50, 0x4e, 0x47])) {
+    return "image/png";
+  }
+
+  if (startsWithBytes(buffer, [0x47, 0x49, 0x46, 0x38])) {
+    return "image/gif";
+  }
+
+  if (startsWithBytes(buffer, [0x42, 0x4d])) {
+    return "image/bmp";
+  }
+
+  if (
+    startsWithBytes(buffer, [0x52, 0x49, 0x46, 0x46]) &&
+    startsWithBytes(buffer, [0x57, 0x45, 0x42, 0x50], 8)
+  ) {
+    return "image/webp";
+  }
+
+  if (startsWithBytes(buffer, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return "video/webm";
+  }
+
+  if (startsWithBytes(buffer, [0x66, 0x74, 0x79, 0x70], 4)) {
+    const brand = buffer.subarray(8, 12).toString("latin1");
+    return brand === "qt  " ? "video/quicktime" : "video/mp4";
+  }
+
+  return null;
+}
+
+export function getFileExtensionForMime(mimeType) {
+  return MIME_EXTENSIONS[mimeType] || "bin";
+}
+
 export function sleep(ms) {
   return new Promise((resolve) => {
     setTimeout(resolve, ms);
   });
 }
 
-export async function fetchWithTimeout(url, init = {}) {
-  const { timeoutMs = FETCH_TIMEOUT_MS, ...fetchInit } = init;
+async function fetchWithDeadline(url, init) {
+  const { timeoutMs = FETCH_TIMEOUT_MS, signal, ...fetchInit } = init;
   const controller = new AbortController();
   const timeout = setTimeout(() => {
     controller.abort();
   }, timeoutMs);
+  const abortFromCaller = () => controller.abort();
+  signal?.addEventListener("abort", abortFromCaller, { once: true });
 
   try {
     return await fetch(url, {
@@ -28,26 +99,42 @@ export async function fetchWithTimeout(url, init = {}) {
       signal: controller.signal,
     });
   } catch (error) {
-    if (error?.name === "AbortError") {
+    if (error?.name === "AbortError" && !signal?.aborted) {
       throw new Error(`Request timeout after ${timeoutMs}ms`);
     }
 
     throw error;
   } finally {
     clearTimeout(timeout);
+    signal?.removeEventListener("abort", abortFromCaller);
   }
 }
 
-export function logError(message, error, meta = {}) {
-  const payload = {
-    level: "error",
-    message,
-    error: error?.message || String(error),
-    stack: error?.stack,
-    ...meta,
-  };
+function recordRequest(metric, { startedAt, response, error }) {
+  const durationMs = Date.now() - startedAt;
+  const outcome = getRequestOutcome({ response, error });
+  const labels = { service: metric.service, operation: metric.operation };
 
-  console.error(JSON.stringify(payload));
+  metrics.externalRequests.inc({ ...labels, outcome });
+  metrics.externalRequestDuration.observe(labels, durationMs / 1000);
+  logDebug("External request finished", { ...labels, outcome, durationMs });
+}
+
+export async function fetchWithTimeout(url, init = {}) {
+  const { metric, ...rest } = init;
+  if (!metric) {
+    return fetchWithDeadline(url, rest);
+  }
+
+  const startedAt = Date.now();
+  try {
+    const response = await fetchWithDeadline(url, rest);
+    recordRequest(metric, { startedAt, response });
+    return response;
+  } catch (error) {
+    recordRequest(metric, { startedAt, error });
+    throw error;
+  }
 }
 
 export async function safeJson(response) {
@@ -0,0 +1,226 @@
+import http from "node:http";
+import metricsHandler from "./api/metrics.js";
+import handler from "./api/telegram.js";
+import {
+  checkAiringSubscriptions,
+  getCacheStore,
+  getJobQueue,
+  getStorage,
+  parseUpdate,
+  processUpdate,
+} from "./lib/bot.js";
+import { createPoller } from "./lib/poller.js";
+import { logError, logInfo, sleep } from "./lib/utils.js";
+
+const DEFAULT_PORT = 3000;
+const WEBHOOK_PATH = "/api/telegram";
+const METRICS_PATH = "/api/metrics";
+const JOB_POLL_INTERVAL_MS = 2_000;
+const JOB_BATCH_SIZE = 10;
+const AIRING_CHECK_INTERVAL_MS = 10 * 60_000;
+
+function adaptResponse(res) {
+  return {
+    status(code) {
+      res.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      res.setHeader("content-type", "application/json");
+      res.end(JSON.stringify(payload));
+      return this;
+    },
+    setHeader(name, value) {
+      res.setHeader(name, value);
+      return this;
+    },
+    send(body) {
+      res.end(body);
+      return this;
+    },
+  };
+}
+
+function createHttpServer({ webhook }) {
+  return http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    const response = adaptResponse(res);
+
+    if (req.method === "GET" && pathname === "/healthz") {
+      response.status(200).json({ ok: true });
+      return;
+    }
+
+    if (pathname === METRICS_PATH) {
+      await metricsHandler(req, response);
+      return;
+    }
+
+    if (webhook && pathname === WEBHOOK_PATH) {
+      try {
+        await handler(req, response);
+      } catch (error) {
+        logError("Webhook handler crashed", error);
+        if (!res.headersSent) {
+          response.status(500).json({ ok: false });
+        }
+      }
+      return;
+    }
+
+    response.status(404).json({ ok: false, error: "Not Found" });
+  });
+}
+
+function createUpdateHandler({ token, traceApiKey }) {
+  return async (update) => {
+    const parsed = parseUpdate(update);
+    if (!parsed.success) {
+      logError("Invalid Telegram update", new Error("Validation failed"), {
+        updateId: update?.update_id,
+        issues: parsed.error.issues,
+      });
+      return;
+    }
+
+    await processUpdate(parsed.data, { token, traceApiKey });
+  };
+}
+
+function createJobWorker(jobs) {
+  let running = false;
+  let loop = null;
+
+  async function run() {
+    while (running) {
+      try {
+        const processed = await jobs.processPending({ limit: JOB_BATCH_SIZE });
+        if (processed === 0) {
+          await sleep(JOB_POLL_INTERVAL_MS);
+        }
+      } catch (error) {
+        logError("Job worker iteration failed", error);
+        await sleep(JOB_POLL_INTERVAL_MS);
+      }
+    }
+  }
+
+  return {
+    start() {
+      if (running) {
+        return;
+      }
+
+      running = true;
+      loop = run();
+    },
+
+    async stop() {
+      running = false;
+      await loop;
+    },
+  };
+}
+
+function createAiringWatcher(token) {
+  let timer = null;
+  let running = null;
+
+  function check() {
+    running ??= checkAiringSubscriptions({ token })
+      .catch((error) => {
+        logError("Airing check failed", error);
+      })
+      .finally(() => {
+        running = null;
+      });
+  }
+
+  return {
+    start() {
+      if (timer) {
+        return;
+      }
+
+      check();
+      timer = setInterval(check, AIRING_CHECK_INTERVAL_MS);
+    },
+
+    async stop() {
+      clearInterval(timer);
+      timer = null;
+      await running;
+    },
+  };
+}
+
+async function main() {
+  const token = process.env.BOT_TOKEN;
+  if (!token) {
+    logError("Missing BOT_TOKEN", new Error("Missing env variable"));
+    process.exitCode = 1;
+    return;
+  }
+
+  const mode = (process.env.BOT_MODE || "polling").trim().toLowerCase();
+  if (mode !== "polling" && mode !== "webhook") {
+    logError("Unknown BOT_MODE", new Error(`Unsupported mode: ${mode}`));
+    process.exitCode = 1;
+    return;
+  }
+
+  const port = Number.parseInt(process.env.PORT || "", 10) || DEFAULT_PORT;
+  const traceApiKey = process.env.TRACE_MOE_API_KEY?.trim() || "";
+  const server = createHttpServer({ webhook: mode === "webhook" });
+  const jobs = getJobQueue({ token, traceApiKey });
+  const worker = jobs.backend === "storage" ? createJobWorker(jobs) : null;
+  const airing = createAiringWatcher(token);
+  const poller =
+    mode === "polling"
+      ? createPoller({
+          token,
+          storage: getStorage(),
+          handleUpdate: createUpdateHandler({ token, traceApiKey }),
+        })
+      : null;
+
+  let shuttingDown = false;
+  async function shutdown(signal) {
+    if (shuttingDown) {
+      return;
+    }
+
+    shuttingDown = true;
+    logInfo("Shutting down", { signal });
+    server.close();
+    await poller?.stop();
+    await worker?.stop();
+    await airing.stop();
+    if (jobs.backend === "memory") {
+      await jobs.drain();
+    }
+    await getStorage().close?.();
+    await getCacheStore().close?.();
+    logInfo("Shutdown complete");
+  }
+
+  process.once("SIGINT", () => shutdown("SIGINT"));
+  process.once("SIGTERM", () => shutdown("SIGTERM"));
+
+  server.listen(port, () => {
+    logInfo("HTTP server listening", { port, mode });
+  });
+
+  poller?.start().catch((error) => {
+    logError("Long polling stopped", error);
+    process.exitCode = 1;
+    shutdown("polling");
+  });
+  worker?.start();
+  airing.start();
+}
+
+main().catch((error) => {
+  logError("Bot server crashed", error);
+  process.exitCode = 1;
+});
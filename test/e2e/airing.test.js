@@ -0,0 +1,50 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, test } from "node:test";
+import { t } from "../../lib/i18n.js";
+import { loadUpdate, startBot } from "../support/harness.js";
+
+const CRON_SECRET = "cron-secret";
+
+let bot;
+let airing;
+
+before(async () => {
+  bot = await startBot({ SEARCH_PROVIDERS: "tracemoe", VERCEL: "1", CRON_SECRET });
+  ({ default: airing } = await import("../../api/airing.js"));
+});
+
+afterEach(() => bot.reset());
+
+after(() => bot.close());
+
+function createResponse() {
+  return {
+    statusCode: null,
+
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+
+    json() {
+      return this;
+    },
+  };
+}
+
+test("refuses /subscribe on Vercel without shared storage", async () => {
+  const update = await loadUpdate("command-settings");
+  update.message.text = "/subscribe 1";
+  update.message.entities[0].length = "/subscribe".length;
+  await bot.send(update);
+
+  const chatId = update.message.chat.id;
+  assert.equal(bot.telegram.lastText(chatId), t("en", "subscriptions.unavailable"));
+});
+
+test("answers 503 from /api/airing on Vercel without shared storage", async () => {
+  const res = createResponse();
+  await airing({ method: "GET", headers: { authorization: `Bearer ${CRON_SECRET}` } }, res);
+
+  assert.equal(res.statusCode, 503);
+});
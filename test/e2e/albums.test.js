@@ -0,0 +1,52 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, test } from "node:test";
+import { createTestImage, startBot } from "../support/harness.js";
+
+let bot;
+let albumSequence = 0;
+
+before(async () => {
+  bot = await startBot({ SEARCH_PROVIDERS: "tracemoe" });
+});
+
+afterEach(() => bot.reset());
+
+after(() => bot.close());
+
+async function loadAlbum(size) {
+  albumSequence += 1;
+  const updates = [];
+  for (let index = 0; index < size; index += 1) {
+    const update = await bot.loadMedia("private-album", await createTestImage());
+    update.message.media_group_id = `album-${albumSequence}`;
+    updates.push(update);
+  }
+
+  return updates;
+}
+
+test("answers an album with one combined card", async () => {
+  const updates = await loadAlbum(2);
+  await Promise.all(updates.map((update) => bot.send(update)));
+
+  assert.equal(bot.trace.searches().length, 2);
+  const [photo, ...others] = bot.telegram.calls("sendPhoto");
+  assert.equal(others.length, 0);
+  assert.match(photo.caption, /Matching frames: 2\/2/);
+  assert.equal(bot.telegram.calls("deleteMessage").length, 1);
+});
+
+test("merges a late album item into the existing card", async () => {
+  const [first, late] = await loadAlbum(2);
+  await bot.send(first);
+  const [photo] = bot.telegram.calls("sendPhoto");
+  assert.match(photo.caption, /Matching frames: 1\/1/);
+
+  await bot.send(late);
+
+  assert.equal(bot.telegram.calls("sendPhoto").length, 1);
+  assert.equal(bot.telegram.calls("sendMessage").length, 1);
+  const [edit] = bot.telegram.calls("editMessageMedia");
+  assert.equal(edit.chat_id, first.message.chat.id);
+  assert.match(edit.media.caption, /Matching frames: 2\/2/);
+});
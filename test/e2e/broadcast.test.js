@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, test } from "node:test";
+import { t } from "../../lib/i18n.js";
+import { loadUpdate, startBot } from "../support/harness.js";
+
+const ADMIN_CHAT_ID = 5001;
+const CHAT_IDS = [9001, 9002, 9003];
+
+let bot;
+let storage;
+let jobs;
+
+before(async () => {
+  bot = await startBot({ ADMIN_USER_IDS: String(ADMIN_CHAT_ID) });
+  const { getJobQueue, getStorage } = await import("../../lib/bot.js");
+  storage = getStorage();
+  jobs = getJobQueue({ token: "123456:TEST-TOKEN" });
+  for (const id of CHAT_IDS) {
+    await storage.put("chats", id, { id, type: "private" });
+  }
+  await storage.put("chats", 9004, { id: 9004, type: "private", blockedAt: 1 });
+});
+
+afterEach(() => bot.reset());
+
+after(() => bot.close());
+
+function doneMessage(report) {
+  return t("en", "broadcast.done", {
+    sent: String(report.sent),
+    skipped: String(report.skipped),
+    failed: String(report.failed),
+  });
+}
+
+async function runBroadcastBatch(broadcastId, cursor) {
+  await jobs.enqueue({ type: "broadcast", key: "broadcast", broadcastId, cursor });
+  await jobs.drain();
+}
+
+test("sends the broadcast to every reachable chat and reports back", async () => {
+  const update = await loadUpdate("command-settings");
+  update.message.text = "/broadcast Maintenance tonight";
+  await bot.send(update);
+
+  for (const id of CHAT_IDS) {
+    assert.equal(bot.telegram.lastText(id), "Maintenance tonight");
+  }
+  assert.equal(bot.telegram.texts(9004).length, 0);
+  assert.equal(
+    bot.telegram.lastText(ADMIN_CHAT_ID),
+    doneMessage({ sent: CHAT_IDS.length + 1, skipped: 1, failed: 0 }),
+  );
+  assert.deepEqual(await storage.list("broadcasts"), []);
+});
+
+test("resumes an interrupted broadcast after the last delivered chat", async () => {
+  await storage.put("broadcasts", "interrupted", {
+    id: "interrupted",
+    chatId: ADMIN_CHAT_ID,
+    locale: "en",
+    text: "Resumed",
+    chatIds: CHAT_IDS,
+    cursor: 2,
+    report: { sent: 2, skipped: 0, failed: 0 },
+    expiresAt: Date.now() + 60_000,
+  });
+
+  await runBroadcastBatch("interrupted", 0);
+
+  assert.deepEqual(CHAT_IDS.map((id) => bot.telegram.texts(id).length), [0, 0, 1]);
+  assert.equal(
+    bot.telegram.lastText(ADMIN_CHAT_ID),
+    doneMessage({ sent: 3, skipped: 0, failed: 0 }),
+  );
+
+  await runBroadcastBatch("interrupted", 0);
+  assert.equal(bot.telegram.calls("sendMessage").length, 2);
+});
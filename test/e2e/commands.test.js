@@ -0,0 +1,143 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, describe, test } from "node:test";
+import { t } from "../../lib/i18n.js";
+import { startFakeServer } from "../support/fake-server.js";
+import { telegramError } from "../support/fake-telegram.js";
+import { traceError } from "../support/fake-tracemoe.js";
+import { loadUpdate, startBot } from "../support/harness.js";
+
+let anilist;
+let bot;
+
+function aniListError(status, message, headers) {
+  return { status, json: { data: null, errors: [{ message, status }] }, headers };
+}
+
+before(async () => {
+  anilist = await startFakeServer({
+    route: () => "graphql",
+    respond: () => aniListError(404, "Not Found."),
+  });
+  bot = await startBot({
+    SEARCH_PROVIDERS: "tracemoe",
+    TRACE_TIMEOUT_MS: "300",
+    ANILIST_GRAPHQL_URL: `${anilist.url}/`,
+  });
+});
+
+afterEach(() => {
+  bot.reset();
+  anilist.reset();
+});
+
+after(async () => {
+  await bot.close();
+  await anilist.close();
+});
+
+describe("/quota", () => {
+  test("shows the Trace.moe key usage", async () => {
+    const chatId = await bot.sendFixture("command-quota");
+
+    assert.equal(bot.trace.received("me").length, 1);
+    assert.match(bot.telegram.lastText(chatId), /Trace\.moe/);
+  });
+
+  test("TRACE_ME_FAILURE when /me fails", async () => {
+    bot.trace.script("me", traceError(500, "Internal Server Error"));
+    const chatId = await bot.sendFixture("command-quota");
+
+    assert.ok(bot.telegram.lastText(chatId).includes(t("en", "errors.traceMe")));
+  });
+
+  test("TIMEOUT when /me hangs", async () => {
+    bot.trace.script("me", { hang: true });
+    const chatId = await bot.sendFixture("command-quota");
+
+    assert.ok(bot.telegram.lastText(chatId).includes(t("en", "errors.timeout")));
+  });
+});
+
+describe("/info", () => {
+  test("answers with not found when AniList has no match", async () => {
+    const chatId = await bot.sendFixture("command-info");
+
+    assert.deepEqual(anilist.received("graphql")[0].json.variables, { id: 1 });
+    assert.equal(bot.telegram.lastText(chatId), t("en", "info.notFound", { query: "1" }));
+  });
+
+  test("ANILIST_API_FAILURE on a rejected query", async () => {
+    anilist.script("graphql", aniListError(400, "Validation error"));
+    const chatId = await bot.sendFixture("command-info");
+
+    assert.equal(bot.telegram.lastText(chatId), t("en", "errors.anilistApi"));
+  });
+
+  test("ANILIST_LIMIT_REACHED when the retry window is too long", async () => {
+    anilist.script("graphql", aniListError(429, "Too Many Requests.", { "retry-after": "60" }));
+    const chatId = await bot.sendFixture("command-info");
+
+    assert.equal(anilist.received("graphql").length, 1);
+    assert.equal(bot.telegram.lastText(chatId), t("en", "errors.anilistLimit"));
+  });
+});
+
+describe("/history", () => {
+  test("sends the history privately when asked in a group", async () => {
+    const update = await loadUpdate("group-history");
+    await bot.send(update);
+
+    const userId = update.message.from.id;
+    assert.equal(bot.telegram.lastText(userId), t("en", "history.empty"));
+    assert.equal(bot.telegram.lastText(update.message.chat.id), t("en", "history.sentPrivately"));
+  });
+
+  test("asks to start a private chat when the bot cannot message the user", async () => {
+    bot.telegram.fail("sendMessage", telegramError(403, "Forbidden: bot was blocked"));
+    const update = await loadUpdate("group-history");
+    await bot.send(update);
+
+    const [, reply] = bot.telegram.calls("sendMessage");
+    assert.equal(reply.chat_id, update.message.chat.id);
+    assert.equal(reply.text, t("en", "history.startPrivate"));
+    assert.equal(reply.reply_markup.inline_keyboard[0][0].url, "https://t.me/anime_test_bot");
+  });
+});
+
+describe("unexpected failures", () => {
+  test("reports Telegram timeouts with the timeout message", async () => {
+    bot.telegram.fail("sendMessage", telegramError(504, "Gateway Timeout"));
+    const chatId = await bot.sendFixture("command-settings");
+
+    assert.equal(bot.telegram.calls("sendMessage").length, 2);
+    assert.equal(bot.telegram.lastText(chatId), t("en", "errors.timeout"));
+  });
+
+  test("falls back to the generic message", async () => {
+    bot.telegram.fail("sendMessage", telegramError(400, "Bad Request: can't parse entities"));
+    const chatId = await bot.sendFixture("command-settings");
+
+    assert.equal(bot.telegram.lastText(chatId), t("en", "errors.generic"));
+  });
+});
+
+describe("repeated updates", () => {
+  test("ignores a delivered update_id", async () => {
+    const update = await loadUpdate("command-settings");
+    await bot.send(update);
+    await bot.send(update);
+
+    assert.equal(bot.telegram.calls("sendMessage").length, 1);
+  });
+
+  test("does not answer a redelivered update_id again after the error reply", async () => {
+    const update = await loadUpdate("command-settings");
+    const chatId = update.message.chat.id;
+    bot.telegram.fail("sendMessage", telegramError(400, "Bad Request: can't parse entities"));
+    await bot.send(update);
+    assert.equal(bot.telegram.lastText(chatId), t("en", "errors.generic"));
+
+    await bot.send(update);
+    assert.equal(bot.telegram.calls("sendMessage").length, 2);
+  });
+});
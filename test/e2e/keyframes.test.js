@@ -0,0 +1,38 @@
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import { after, afterEach, before, test } from "node:test";
+import { t } from "../../lib/i18n.js";
+import { createTestVideo, startBot } from "../support/harness.js";
+
+const FAKE_FFMPEG = fileURLToPath(new URL("../support/bin/fake-ffmpeg.js", import.meta.url));
+
+let bot;
+
+before(async () => {
+  bot = await startBot({
+    SEARCH_PROVIDERS: "tracemoe",
+    FFMPEG_PATH: FAKE_FFMPEG,
+    FFPROBE_PATH: FAKE_FFMPEG,
+    VIDEO_KEYFRAMES: "4",
+    RATE_LIMIT_USER_PER_DAY: "6",
+  });
+});
+
+afterEach(() => bot.reset());
+
+after(() => bot.close());
+
+test("charges one search per keyframe and caps the frames by the remaining quota", async () => {
+  await bot.sendMedia("private-video", createTestVideo());
+  assert.equal(bot.trace.searches().length, 4);
+  bot.reset();
+
+  await bot.sendMedia("private-video", createTestVideo());
+  assert.equal(bot.trace.searches().length, 2);
+  bot.reset();
+
+  const chatId = await bot.sendMedia("private-video", createTestVideo());
+  assert.equal(bot.trace.searches().length, 0);
+  const limitText = t("en", "rateLimit.user", { limit: "6", window: "day" });
+  assert.ok(bot.telegram.lastText(chatId).startsWith(limitText));
+});
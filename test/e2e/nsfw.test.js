@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, test } from "node:test";
+import { t } from "../../lib/i18n.js";
+import { TRACE_MATCH, traceSearchResponse } from "../support/fake-tracemoe.js";
+import { createTestImage, loadUpdate, startBot } from "../support/harness.js";
+
+const ADULT_MATCH = {
+  ...TRACE_MATCH,
+  anilist: {
+    ...TRACE_MATCH.anilist,
+    id: 2,
+    idMal: 2,
+    title: { native: "成人", romaji: "Adult Example", english: "Adult Example" },
+    isAdult: true,
+  },
+  similarity: 0.93,
+  image: "https://media.trace.moe/image/2/adult.jpg",
+};
+
+let bot;
+let callbackSequence = 0;
+
+before(async () => {
+  bot = await startBot({ SEARCH_PROVIDERS: "tracemoe" });
+  const update = await loadUpdate("command-settings");
+  update.message.text = "/settings nsfw text";
+  await bot.send(update);
+});
+
+afterEach(() => bot.reset());
+
+after(() => bot.close());
+
+async function openResult(messageId, index) {
+  callbackSequence += 1;
+  const update = await loadUpdate("command-settings");
+  await bot.send({
+    update_id: update.update_id,
+    callback_query: {
+      id: `callback-${callbackSequence}`,
+      from: update.message.from,
+      message: { message_id: messageId, chat: update.message.chat, date: 0 },
+      chat_instance: "nsfw-test",
+      data: `res:${index}:image`,
+    },
+  });
+}
+
+test("keeps the preview of a safe match next to an adult one", async () => {
+  bot.trace.script("search", traceSearchResponse([TRACE_MATCH, ADULT_MATCH]));
+  await bot.sendMedia("private-photo", await createTestImage());
+
+  const [photo] = bot.telegram.calls("sendPhoto");
+  assert.equal(photo.photo, TRACE_MATCH.image);
+  assert.equal(photo.has_spoiler, undefined);
+
+  await openResult(bot.telegram.messageIds("sendPhoto")[0], 1);
+
+  const [edit] = bot.telegram.calls("editMessageMedia");
+  assert.equal(edit.media.media, TRACE_MATCH.image);
+  assert.equal(edit.media.has_spoiler, true);
+  assert.match(edit.media.caption, /Adult Example/);
+  assert.ok(edit.media.caption.endsWith(t("en", "nsfw.previewStandIn")));
+});
+
+test("starts a media card when the best match is adult and pages to the safe preview", async () => {
+  bot.trace.script(
+    "search",
+    traceSearchResponse([{ ...ADULT_MATCH, similarity: 0.97 }, TRACE_MATCH]),
+  );
+  await bot.sendMedia("private-photo", await createTestImage());
+
+  const [photo] = bot.telegram.calls("sendPhoto");
+  assert.equal(photo.photo, TRACE_MATCH.image);
+  assert.equal(photo.has_spoiler, true);
+  assert.match(photo.caption, /Adult Example/);
+  assert.ok(photo.caption.endsWith(t("en", "nsfw.previewStandIn")));
+
+  await openResult(bot.telegram.messageIds("sendPhoto")[0], 1);
+
+  const [edit] = bot.telegram.calls("editMessageMedia");
+  assert.equal(edit.media.media, TRACE_MATCH.image);
+  assert.equal(edit.media.has_spoiler, undefined);
+  assert.match(edit.media.caption, /Cowboy Bebop/);
+  assert.ok(!edit.media.caption.includes(t("en", "nsfw.previewStandIn")));
+});
+
+test("sends a text card when every match is adult", async () => {
+  bot.trace.script("search", traceSearchResponse([{ ...ADULT_MATCH, similarity: 0.97 }]));
+  const chatId = await bot.sendMedia("private-photo", await createTestImage());
+
+  assert.equal(bot.telegram.calls("sendPhoto").length, 0);
+  assert.ok(bot.telegram.lastText(chatId).endsWith(t("en", "nsfw.previewHidden")));
+});
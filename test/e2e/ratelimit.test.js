@@ -0,0 +1,30 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, test } from "node:test";
+import { t } from "../../lib/i18n.js";
+import { createTestImage, startBot } from "../support/harness.js";
+
+let bot;
+
+before(async () => {
+  bot = await startBot({ SEARCH_PROVIDERS: "tracemoe", RATE_LIMIT_USER_PER_DAY: "1" });
+});
+
+afterEach(() => bot.reset());
+
+after(() => bot.close());
+
+test("only charges searches that reach a provider", async () => {
+  const image = await createTestImage();
+  await bot.sendMedia("private-photo", image);
+  assert.equal(bot.trace.searches().length, 1);
+
+  const chatId = await bot.sendMedia("private-photo", image);
+  assert.equal(bot.trace.searches().length, 1);
+  assert.equal(bot.telegram.calls("sendPhoto").length, 2);
+  assert.match(bot.telegram.calls("sendPhoto")[1].caption, /Cowboy Bebop/);
+
+  await bot.sendMedia("private-photo", await createTestImage());
+  assert.equal(bot.trace.searches().length, 1);
+  const limitText = t("en", "rateLimit.user", { limit: "1", window: "day" });
+  assert.ok(bot.telegram.lastText(chatId).startsWith(limitText));
+});
@@ -0,0 +1,125 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, test } from "node:test";
+import { t } from "../../lib/i18n.js";
+import { startFakeServer } from "../support/fake-server.js";
+import { createTestImage, createTestVideo, startBot } from "../support/harness.js";
+
+const SAUCENAO_HEADER = {
+  status: 0,
+  long_limit: "100",
+  long_remaining: 99,
+  short_limit: "4",
+  short_remaining: 3,
+};
+
+const SAUCENAO_MATCH = {
+  header: {
+    similarity: "94.61",
+    thumbnail: "https://img3.saucenao.com/frames/bebop.jpg",
+    index_id: 21,
+    hidden: 0,
+  },
+  data: {
+    ext_urls: ["https://anidb.net/anime/23"],
+    source: "Cowboy Bebop",
+    anidb_aid: 23,
+    anilist_id: 1,
+    part: "01",
+    est_time: "00:04:57 / 00:24:40",
+  },
+};
+
+let saucenao;
+let bot;
+
+function sauceResponse(header, results = []) {
+  return { json: { header: { ...SAUCENAO_HEADER, ...header }, results } };
+}
+
+before(async () => {
+  saucenao = await startFakeServer({
+    route: (request) => (request.path === "/search.php" ? "search" : "unknown"),
+    respond: () => sauceResponse({}, [SAUCENAO_MATCH]),
+  });
+  bot = await startBot({
+    SEARCH_PROVIDERS: "saucenao",
+    SAUCENAO_API_KEY: "sauce-key",
+    SAUCENAO_SEARCH_URL: `${saucenao.url}/search.php`,
+    FFMPEG_PATH: "ffmpeg-missing-for-tests",
+    FFPROBE_PATH: "ffprobe-missing-for-tests",
+  });
+});
+
+afterEach(() => {
+  bot.reset();
+  saucenao.reset();
+});
+
+after(async () => {
+  await bot.close();
+  await saucenao.close();
+});
+
+function assertLastText(chatId, key) {
+  assert.equal(bot.telegram.lastText(chatId), t("en", key));
+}
+
+test("answers a photo with a SauceNAO result card", async () => {
+  await bot.sendMedia("private-photo", await createTestImage());
+
+  const [search] = saucenao.received("search");
+  assert.equal(search.query.get("api_key"), "sauce-key");
+  assert.equal(search.query.get("db"), "21");
+  assert.equal(bot.trace.searches().length, 0);
+
+  const [photo] = bot.telegram.calls("sendPhoto");
+  assert.equal(photo.photo, SAUCENAO_MATCH.header.thumbnail);
+  assert.match(photo.caption, /Cowboy Bebop/);
+});
+
+test("SAUCENAO_LIMIT_REACHED on 429", async () => {
+  saucenao.script("search", {
+    status: 429,
+    json: { header: { status: -2, message: "Search Rate Too High." } },
+  });
+  const chatId = await bot.sendMedia("private-photo", await createTestImage());
+
+  assertLastText(chatId, "errors.saucenaoLimit");
+});
+
+test("SAUCENAO_API_FAILURE on a server error", async () => {
+  saucenao.script("search", { status: 500, body: "Internal Server Error" });
+  const chatId = await bot.sendMedia("private-photo", await createTestImage());
+
+  assertLastText(chatId, "errors.saucenaoApi");
+});
+
+test("SAUCENAO_API_FAILURE on a failing header status", async () => {
+  saucenao.script("search", sauceResponse({ status: 1, message: "Index offline" }));
+  const chatId = await bot.sendMedia("private-photo", await createTestImage());
+
+  assertLastText(chatId, "errors.saucenaoApi");
+});
+
+test("SAUCENAO_INVALID_RESPONSE on a malformed payload", async () => {
+  saucenao.script("search", { malformed: true });
+  const chatId = await bot.sendMedia("private-photo", await createTestImage());
+
+  assertLastText(chatId, "errors.saucenaoResponse");
+});
+
+test("IMAGE_URL_FAILED when SauceNAO cannot fetch the link", async () => {
+  saucenao.script("search", sauceResponse({ status: -3, message: "Couldn't access URL" }));
+  const chatId = await bot.sendFixture("private-url");
+
+  const [search] = saucenao.received("search");
+  assert.equal(search.query.get("url"), "https://images.example.com/frames/episode-01.jpg");
+  assertLastText(chatId, "errors.imageUrl");
+});
+
+test("NO_SEARCH_PROVIDER for clips when ffmpeg is missing", async () => {
+  const chatId = await bot.sendMedia("private-video", createTestVideo());
+
+  assert.equal(saucenao.received("search").length, 0);
+  assertLastText(chatId, "errors.noProvider");
+});
@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, test } from "node:test";
+import { t } from "../../lib/i18n.js";
+import { traceError } from "../support/fake-tracemoe.js";
+import { createTestImage, startBot } from "../support/harness.js";
+
+let bot;
+
+before(async () => {
+  bot = await startBot({ SEARCH_PROVIDERS: "tracemoe", TRACE_MOE_API_KEY: "key-a,key-b" });
+});
+
+afterEach(() => bot.reset());
+
+after(() => bot.close());
+
+function usedKeys() {
+  return bot.trace.searches().map((request) => request.headers["x-trace-key"]);
+}
+
+test("rotates to the next key when Trace.moe answers 429", async () => {
+  bot.trace.script("search", traceError(429, "Too Many Requests"));
+  await bot.sendMedia("private-photo", await createTestImage());
+
+  const [limited, retried] = usedKeys();
+  assert.notEqual(limited, retried);
+  assert.deepEqual([limited, retried].sort(), ["key-a", "key-b"]);
+  assert.equal(bot.telegram.calls("sendPhoto").length, 1);
+});
+
+test("TRACE_LIMIT_REACHED once every key is out of quota", async () => {
+  bot.trace.script("search", traceError(402, "Search quota depleted"));
+  const chatId = await bot.sendMedia("private-photo", await createTestImage());
+
+  assert.equal(bot.trace.searches().length, 1);
+  assert.equal(bot.telegram.lastText(chatId), t("en", "errors.traceLimit"));
+});
+
+test("lists the cooling keys in /quota", async () => {
+  const chatId = await bot.sendFixture("command-quota");
+
+  const [pausedPrefix] = t("en", "quota.cooldown", { clock: "|" }).split("|");
+  const text = bot.telegram.lastText(chatId);
+  assert.match(text, /Trace\.moe/);
+  assert.equal(text.split(pausedPrefix).length - 1, 2);
+});
+
+test("labels keys in /quota by position without revealing them", async () => {
+  const chatId = await bot.sendFixture("command-quota");
+
+  const text = bot.telegram.lastText(chatId);
+  assert.ok(text.includes(t("en", "quota.key", { label: "#1" })));
+  assert.ok(text.includes(t("en", "quota.key", { label: "#2" })));
+  assert.doesNotMatch(text, /key-a|key-b/);
+});
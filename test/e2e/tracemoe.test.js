@@ -0,0 +1,167 @@
+import assert from "node:assert/strict";
+import { after, afterEach, before, describe, test } from "node:test";
+import { t } from "../../lib/i18n.js";
+import { telegramError } from "../support/fake-telegram.js";
+import { TRACE_MATCH, traceError, traceSearchResponse } from "../support/fake-tracemoe.js";
+import { createTestImage, createTestVideo, loadUpdate, startBot } from "../support/harness.js";
+
+let bot;
+
+before(async () => {
+  bot = await startBot({
+    SEARCH_PROVIDERS: "tracemoe",
+    TRACE_TIMEOUT_MS: "300",
+    VIDEO_KEYFRAMES: "2",
+    FFMPEG_PATH: "false",
+    FFPROBE_PATH: "false",
+  });
+});
+
+afterEach(() => bot.reset());
+
+after(() => bot.close());
+
+function assertLastText(chatId, key, params) {
+  assert.equal(bot.telegram.lastText(chatId), t("en", key, params));
+}
+
+describe("Trace.moe search", () => {
+  test("answers a photo with a result card and removes the placeholder", async () => {
+    const chatId = await bot.sendMedia("private-photo", await createTestImage());
+
+    const [search] = bot.trace.searches();
+    assert.equal(search.method, "POST");
+    assert.ok(search.query.has("anilistInfo"));
+    assert.ok(search.query.has("cutBorders"));
+
+    const [photo] = bot.telegram.calls("sendPhoto");
+    assert.equal(photo.chat_id, chatId);
+    assert.equal(photo.photo, TRACE_MATCH.image);
+    assert.match(photo.caption, /Cowboy Bebop/);
+    assert.equal(bot.telegram.calls("deleteMessage").length, 1);
+  });
+
+  test("retries 503 responses before answering", async () => {
+    bot.trace.script("search", traceError(503, "Service Unavailable"));
+    await bot.sendMedia("private-photo", await createTestImage());
+
+    assert.equal(bot.trace.searches().length, 2);
+    assert.equal(bot.telegram.calls("sendPhoto").length, 1);
+  });
+
+  test("answers with the no-results hint when nothing matches", async () => {
+    bot.trace.script("search", traceSearchResponse([]));
+    const chatId = await bot.sendMedia("private-photo", await createTestImage());
+
+    assert.equal(
+      bot.telegram.lastText(chatId),
+      `${t("en", "noResults")}\n\n${t("en", "imageGuidelines")}`,
+    );
+  });
+
+  test("searches image links by URL", async () => {
+    await bot.sendFixture("private-url");
+
+    const [search] = bot.trace.searches();
+    assert.equal(search.method, "GET");
+    assert.equal(search.query.get("url"), "https://images.example.com/frames/episode-01.jpg");
+  });
+
+  test("ignores links that do not point to an image", async () => {
+    const update = await loadUpdate("private-url");
+    update.message.text = "https://www.youtube.com/watch?v=example";
+    await bot.send(update);
+
+    assert.equal(bot.trace.searches().length, 0);
+    assert.equal(
+      bot.telegram.lastText(update.message.chat.id),
+      `${t("en", "noImage")}\n\n${t("en", "imageGuidelines")}`,
+    );
+  });
+
+  test("searches any link sent with /search", async () => {
+    const update = await loadUpdate("private-url");
+    update.message.text = "/search https://images.example.com/render?frame=12";
+    await bot.send(update);
+
+    const [search] = bot.trace.searches();
+    assert.equal(search.query.get("url"), "https://images.example.com/render?frame=12");
+  });
+
+  test("uploads the whole clip when keyframes cannot be extracted", async () => {
+    await bot.sendMedia("private-video", createTestVideo());
+
+    const [search] = bot.trace.searches();
+    assert.equal(search.method, "POST");
+    assert.match(search.body.toString("latin1"), /Content-Type: video\/mp4/);
+    assert.equal(bot.telegram.calls("sendPhoto").length, 1);
+  });
+});
+
+describe("search errors", () => {
+  test("TELEGRAM_DOWNLOAD_FAILED when getFile is rejected", async () => {
+    const chatId = await bot.sendMedia("private-photo", null);
+
+    assert.equal(bot.trace.searches().length, 0);
+    assertLastText(chatId, "errors.telegramDownload");
+  });
+
+  test("TELEGRAM_DOWNLOAD_FAILED when the file download fails", async () => {
+    bot.telegram.fail("file", telegramError(502, "Bad Gateway"));
+    const chatId = await bot.sendMedia("private-photo", await createTestImage());
+
+    assertLastText(chatId, "errors.telegramDownload");
+  });
+
+  test("IMAGE_TOO_LARGE before downloading an oversized document", async () => {
+    const chatId = await bot.sendMedia("private-document", await createTestImage());
+
+    assert.equal(bot.telegram.calls("getFile").length, 0);
+    assertLastText(chatId, "imageTooLarge", { limitMb: "20" });
+  });
+
+  test("IMAGE_URL_FAILED when Trace.moe cannot fetch the link", async () => {
+    bot.trace.script("search", traceError(400, "Failed to fetch image"));
+    const chatId = await bot.sendFixture("private-url");
+
+    assertLastText(chatId, "errors.imageUrl");
+  });
+
+  test("TRACE_API_FAILURE on a server error", async () => {
+    bot.trace.script("search", traceError(500, "Internal Server Error"));
+    const chatId = await bot.sendMedia("private-photo", await createTestImage());
+
+    assert.equal(bot.trace.searches().length, 1);
+    assertLastText(chatId, "errors.traceApi");
+  });
+
+  test("TRACE_LIMIT_REACHED once 503 retries are exhausted", async () => {
+    bot.trace.script("search", traceError(503, "Service Unavailable"), 3);
+    const chatId = await bot.sendMedia("private-photo", await createTestImage());
+
+    assert.equal(bot.trace.searches().length, 3);
+    assertLastText(chatId, "errors.traceLimit");
+  });
+
+  test("TRACE_INVALID_RESPONSE on a malformed payload", async () => {
+    bot.trace.script("search", { malformed: true });
+    const chatId = await bot.sendMedia("private-photo", await createTestImage());
+
+    assertLastText(chatId, "errors.traceResponse");
+  });
+
+  test("TRACE_INVALID_RESPONSE when the result list is missing", async () => {
+    bot.trace.script("search", { json: { frameCount: 0, error: "" } });
+    const chatId = await bot.sendMedia("private-photo", await createTestImage());
+
+    assertLastText(chatId, "errors.traceResponse");
+  });
+
+  test("TIMEOUT when every attempt hangs", async () => {
+    bot.trace.script("search", { hang: true }, 3);
+    const chatId = await bot.sendMedia("private-photo", await createTestImage());
+
+    assert.equal(bot.trace.searches().length, 3);
+    assertLastText(chatId, "errors.timeout");
+  });
+});
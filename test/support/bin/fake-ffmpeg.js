@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+import { randomBytes } from "node:crypto";
+import sharp from "sharp";
+
+const CLIP_DURATION_SECONDS = "60.000000";
+const FRAME_WIDTH = 160;
+const FRAME_HEIGHT = 90;
+
+const args = process.argv.slice(2);
+
+if (args.includes("-show_entries")) {
+  process.stdout.write(`${CLIP_DURATION_SECONDS}\n`);
+} else {
+  const frame = await sharp(randomBytes(FRAME_WIDTH * FRAME_HEIGHT * 3), {
+    raw: { width: FRAME_WIDTH, height: FRAME_HEIGHT, channels: 3 },
+  })
+    .jpeg()
+    .toBuffer();
+  process.stdout.write(frame);
+}
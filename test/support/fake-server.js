@@ -0,0 +1,114 @@
+import { createServer } from "node:http";
+
+const MALFORMED_JSON_BODY = '{"ok": true, "result": [';
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
+
+function parseJson(body, contentType) {
+  if (!contentType.includes("application/json") || body.length === 0) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(body.toString("utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function writeResponse(res, response) {
+  const { status = 200, json, body, headers = {}, delayMs = 0, hang = false } = response;
+  if (hang) {
+    return;
+  }
+
+  if (delayMs > 0) {
+    await wait(delayMs);
+  }
+
+  if (response.malformed) {
+    res.writeHead(status, { "content-type": "application/json", ...headers });
+    res.end(MALFORMED_JSON_BODY);
+    return;
+  }
+
+  if (typeof json !== "undefined") {
+    res.writeHead(status, { "content-type": "application/json", ...headers });
+    res.end(JSON.stringify(json));
+    return;
+  }
+
+  res.writeHead(status, { "content-type": "application/octet-stream", ...headers });
+  res.end(body ?? "");
+}
+
+export async function startFakeServer({ route, respond }) {
+  const requests = [];
+  const scripts = new Map();
+
+  const server = createServer(async (req, res) => {
+    const body = await readBody(req);
+    const url = new URL(req.url, "http://localhost");
+    const contentType = String(req.headers["content-type"] || "");
+    const request = {
+      method: req.method,
+      path: url.pathname,
+      query: url.searchParams,
+      headers: req.headers,
+      contentType,
+      body,
+      json: parseJson(body, contentType),
+    };
+    request.route = route(request);
+    requests.push(request);
+
+    const scripted = scripts.get(request.route)?.shift();
+    try {
+      await writeResponse(res, scripted ?? (await respond(request)));
+    } catch (error) {
+      res.writeHead(500, { "content-type": "text/plain" });
+      res.end(String(error?.stack || error));
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+
+    script(routeName, response, times = 1) {
+      const queue = scripts.get(routeName) ?? [];
+      for (let index = 0; index < times; index += 1) {
+        queue.push(response);
+      }
+      scripts.set(routeName, queue);
+    },
+
+    received(routeName) {
+      return requests.filter((request) => request.route === routeName);
+    },
+
+    reset() {
+      requests.length = 0;
+      scripts.clear();
+    },
+
+    async close() {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
@@ -0,0 +1,96 @@
+import { startFakeServer } from "./fake-server.js";
+
+const BOT_PROFILE = { id: 7000, is_bot: true, first_name: "Anime Finder", username: "anime_test_bot" };
+const FILE_ROUTE = "file";
+const TEXT_METHODS = new Set(["sendMessage", "editMessageText"]);
+
+function ok(result) {
+  return { json: { ok: true, result } };
+}
+
+export function telegramError(status, description, parameters) {
+  return {
+    status,
+    json: { ok: false, error_code: status, description, ...(parameters ? { parameters } : {}) },
+  };
+}
+
+export async function startFakeTelegram() {
+  const files = new Map();
+  let messageId = 1000;
+
+  function respond(request) {
+    if (request.route === FILE_ROUTE) {
+      const fileId = decodeURIComponent(request.path.split("/").pop());
+      return files.has(fileId)
+        ? { body: files.get(fileId) }
+        : telegramError(404, "Not Found");
+    }
+
+    if (request.route === "getMe") {
+      return ok(BOT_PROFILE);
+    }
+
+    if (request.route === "getFile") {
+      const fileId = request.json?.file_id;
+      return files.has(fileId)
+        ? ok({ file_id: fileId, file_size: files.get(fileId).length, file_path: `files/${fileId}` })
+        : telegramError(400, "Bad Request: invalid file_id");
+    }
+
+    if (request.route === "getChatMember") {
+      return ok({ status: "administrator", user: { id: request.json?.user_id } });
+    }
+
+    if (request.route === "sendMessage" || request.route === "sendPhoto") {
+      messageId += 1;
+      request.messageId = messageId;
+      return ok({ message_id: messageId, chat: { id: request.json?.chat_id }, date: 0 });
+    }
+
+    return ok(true);
+  }
+
+  const server = await startFakeServer({
+    route(request) {
+      if (request.path.startsWith("/file/bot")) {
+        return FILE_ROUTE;
+      }
+
+      return /^\/bot[^/]+\/([A-Za-z]+)$/.exec(request.path)?.[1] ?? "unknown";
+    },
+    respond,
+  });
+
+  return {
+    ...server,
+    profile: BOT_PROFILE,
+
+    addFile(fileId, buffer) {
+      files.set(fileId, buffer);
+    },
+
+    fail(method, response, times = 1) {
+      server.script(method, response, times);
+    },
+
+    calls(method) {
+      return server.received(method).map((request) => request.json);
+    },
+
+    messageIds(method) {
+      return server.received(method).map((request) => request.messageId);
+    },
+
+    texts(chatId) {
+      return server.requests
+        .filter((request) => TEXT_METHODS.has(request.route))
+        .filter((request) => request.json?.chat_id === chatId)
+        .map((request) => request.json.text);
+    },
+
+    lastText(chatId) {
+      return this.texts(chatId).at(-1) ?? null;
+    },
+  };
+}
@@ -0,0 +1,68 @@
+import { startFakeServer } from "./fake-server.js";
+
+export const TRACE_MATCH = {
+  anilist: {
+    id: 1,
+    idMal: 1,
+    title: { native: "カウボーイビバップ", romaji: "Cowboy Bebop", english: "Cowboy Bebop" },
+    synonyms: [],
+    isAdult: false,
+  },
+  filename: "[Bebop] Cowboy Bebop - 01.mkv",
+  episode: 1,
+  from: 297.5,
+  to: 299.9,
+  similarity: 0.96,
+  video: "https://media.trace.moe/video/1/bebop.mp4",
+  image: "https://media.trace.moe/image/1/bebop.jpg",
+};
+
+export const TRACE_QUOTA = {
+  id: "127.0.0.1",
+  priority: 0,
+  concurrency: 1,
+  quota: 100,
+  quotaUsed: 0,
+};
+
+export function traceSearchResponse(result = [TRACE_MATCH]) {
+  return { json: { frameCount: 120000, error: "", result } };
+}
+
+export function traceError(status, error, headers) {
+  return { status, json: { error }, headers };
+}
+
+export async function startFakeTraceMoe() {
+  const server = await startFakeServer({
+    route(request) {
+      if (request.path === "/search") {
+        return "search";
+      }
+
+      return request.path === "/me" ? "me" : "unknown";
+    },
+
+    respond(request) {
+      if (request.route === "search") {
+        return traceSearchResponse();
+      }
+
+      if (request.route === "me") {
+        return { json: TRACE_QUOTA };
+      }
+
+      return traceError(404, "Not Found");
+    },
+  });
+
+  return {
+    ...server,
+    searchUrl: `${server.url}/search`,
+    meUrl: `${server.url}/me`,
+
+    searches() {
+      return server.received("search");
+    },
+  };
+}
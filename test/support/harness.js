@@ -0,0 +1,152 @@
+import { readFile } from "node:fs/promises";
+import sharp from "sharp";
+import { startFakeTelegram } from "./fake-telegram.js";
+import { startFakeTraceMoe } from "./fake-tracemoe.js";
+
+const BOT_TOKEN = "123456:TEST-TOKEN";
+const FIXTURES_URL = new URL("../fixtures/updates/", import.meta.url);
+const TEST_IMAGE_WIDTH = 160;
+const TEST_IMAGE_HEIGHT = 90;
+const UPDATE_ID_BASE = 200_000_000;
+const MP4_HEADER = Buffer.from("000000186674797069736f6d0000020069736f6d69736f32", "hex");
+
+const BASE_ENV = {
+  LOG_LEVEL: "silent",
+  STORAGE_BACKEND: "memory",
+  RESULT_CACHE_BACKEND: "memory",
+  JOB_QUEUE_BACKEND: "memory",
+  RATE_LIMIT_USER_PER_MINUTE: "0",
+  RATE_LIMIT_USER_PER_DAY: "0",
+  RATE_LIMIT_CHAT_PER_MINUTE: "0",
+  RATE_LIMIT_CHAT_PER_DAY: "0",
+};
+
+let sequence = 0;
+
+function nextId() {
+  sequence += 1;
+  return sequence;
+}
+
+function createNoise(seed) {
+  let state = seed * 2654435761;
+  const pixels = Buffer.alloc(TEST_IMAGE_WIDTH * TEST_IMAGE_HEIGHT * 3);
+  for (let index = 0; index < pixels.length; index += 1) {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    pixels[index] = state % 256;
+  }
+
+  return pixels;
+}
+
+export function createTestImage(seed = nextId()) {
+  return sharp(createNoise(seed), {
+    raw: { width: TEST_IMAGE_WIDTH, height: TEST_IMAGE_HEIGHT, channels: 3 },
+  })
+    .jpeg()
+    .toBuffer();
+}
+
+export function createTestVideo() {
+  return Buffer.concat([MP4_HEADER, createNoise(nextId())]);
+}
+
+export async function loadUpdate(name) {
+  const update = JSON.parse(await readFile(new URL(`${name}.json`, FIXTURES_URL), "utf8"));
+  const id = nextId();
+  update.update_id = UPDATE_ID_BASE + id;
+  update.message.message_id += id;
+  return update;
+}
+
+function listMessageFiles(message) {
+  const files = [...(message.photo ?? [])];
+  for (const field of ["document", "video", "animation", "sticker"]) {
+    if (message[field]) {
+      files.push(message[field]);
+    }
+  }
+
+  return files;
+}
+
+function createResponse() {
+  return {
+    statusCode: null,
+    body: null,
+
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+export async function startBot(env = {}) {
+  const telegram = await startFakeTelegram();
+  const trace = await startFakeTraceMoe();
+
+  Object.assign(process.env, BASE_ENV, {
+    BOT_TOKEN,
+    TELEGRAM_API_BASE: telegram.url,
+    TRACE_SEARCH_URL: trace.searchUrl,
+    TRACE_ME_URL: trace.meUrl,
+    ...env,
+  });
+  const { default: handler } = await import("../../api/telegram.js");
+  const { getJobQueue } = await import("../../lib/bot.js");
+
+  async function send(update) {
+    const res = createResponse();
+    await handler({ method: "POST", headers: {}, body: update }, res);
+    await getJobQueue({ token: BOT_TOKEN }).drain();
+    return res;
+  }
+
+  return {
+    telegram,
+    trace,
+    send,
+
+    async sendFixture(name) {
+      const update = await loadUpdate(name);
+      await send(update);
+      return update.message.chat.id;
+    },
+
+    async loadMedia(name, buffer) {
+      const update = await loadUpdate(name);
+      const id = nextId();
+      for (const file of listMessageFiles(update.message)) {
+        file.file_id = `${file.file_id}-${id}`;
+        file.file_unique_id = `${file.file_unique_id}-${id}`;
+        if (buffer) {
+          telegram.addFile(file.file_id, buffer);
+        }
+      }
+
+      return update;
+    },
+
+    async sendMedia(name, buffer) {
+      const update = await this.loadMedia(name, buffer);
+      await send(update);
+      return update.message.chat.id;
+    },
+
+    reset() {
+      telegram.reset();
+      trace.reset();
+    },
+
+    async close() {
+      await telegram.close();
+      await trace.close();
+    },
+  };
+}
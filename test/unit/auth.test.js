@@ -0,0 +1,41 @@
+import assert from "node:assert/strict";
+import { afterEach, test } from "node:test";
+import { authorizeCronRequest } from "../../lib/auth.js";
+
+function createResponse() {
+  return {
+    statusCode: null,
+
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+
+    json() {
+      return this;
+    },
+  };
+}
+
+function authorize(authorization) {
+  const res = createResponse();
+  const allowed = authorizeCronRequest({ headers: { authorization } }, res);
+  return { allowed, status: res.statusCode };
+}
+
+afterEach(() => {
+  delete process.env.CRON_SECRET;
+});
+
+test("rejects cron requests while CRON_SECRET is unset", () => {
+  assert.deepEqual(authorize(undefined), { allowed: false, status: 404 });
+  assert.deepEqual(authorize("Bearer "), { allowed: false, status: 404 });
+});
+
+test("requires the CRON_SECRET bearer token", () => {
+  process.env.CRON_SECRET = "cron-secret";
+
+  assert.deepEqual(authorize(undefined), { allowed: false, status: 401 });
+  assert.deepEqual(authorize("Bearer wrong"), { allowed: false, status: 401 });
+  assert.deepEqual(authorize("Bearer cron-secret"), { allowed: true, status: null });
+});
@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, test } from "node:test";
+import { createFileCacheStore } from "../../lib/cache.js";
+
+let directory;
+
+before(async () => {
+  directory = await mkdtemp(join(tmpdir(), "cache-test-"));
+});
+
+after(() => rm(directory, { recursive: true, force: true }));
+
+test("reads the cache file once and serves later lookups from memory", async () => {
+  const filePath = join(directory, "read-once.json");
+  const expiresAt = Date.now() + 60_000;
+  await writeFile(filePath, JSON.stringify({ "file:a": { value: { hit: 1 }, expiresAt } }));
+  const store = createFileCacheStore({ filePath, flushDelayMs: 60_000 });
+
+  assert.deepEqual(await store.get("file:a"), { hit: 1 });
+  await writeFile(filePath, "{}");
+  assert.deepEqual(await store.get("file:a"), { hit: 1 });
+  assert.equal(await store.get("file:b"), null);
+});
+
+test("debounces writes and drops expired entries when saving", async () => {
+  const filePath = join(directory, "debounced.json");
+  const store = createFileCacheStore({ filePath, flushDelayMs: 60_000 });
+  await store.set("hash:a", { results: [] }, 60_000);
+  await store.set("hash:old", { results: [] }, -1);
+  await store.set("hash:b", { results: [1] }, 60_000);
+  await store.delete("hash:b");
+
+  await assert.rejects(readFile(filePath, "utf8"), { code: "ENOENT" });
+  assert.equal(await store.get("hash:old"), null);
+
+  await store.close();
+  assert.deepEqual(Object.keys(JSON.parse(await readFile(filePath, "utf8"))), ["hash:a"]);
+
+  const reopened = createFileCacheStore({ filePath });
+  assert.deepEqual(await reopened.get("hash:a"), { results: [] });
+});
@@ -0,0 +1,116 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createStorageJobQueue } from "../../lib/jobs.js";
+import { createMemoryStorage } from "../../lib/storage.js";
+import { sleep } from "../../lib/utils.js";
+
+const LEASE_MS = 60;
+
+test("renews the lease while a long job runs", async () => {
+  const storage = createMemoryStorage({ sweepIntervalMs: 0 });
+  const runs = [];
+  const handler = async (job) => {
+    runs.push(job.id);
+    await sleep(LEASE_MS * 4);
+  };
+  const first = createStorageJobQueue({ handler, storage, leaseMs: LEASE_MS });
+  const second = createStorageJobQueue({ handler, storage, leaseMs: LEASE_MS });
+
+  await first.enqueue({ id: "broadcast", type: "broadcast" });
+  const running = first.processPending();
+  await sleep(LEASE_MS * 2);
+
+  assert.equal(await second.processPending(), 0);
+  assert.equal(await running, 1);
+  assert.deepEqual(runs, ["broadcast"]);
+  assert.deepEqual(await first.size(), { active: 0, pending: 0 });
+});
+
+test("reclaims a job whose lease expired and ignores the stale worker", async () => {
+  const storage = createMemoryStorage({ sweepIntervalMs: 0 });
+  const attempts = [];
+  const queue = createStorageJobQueue({
+    handler: async (job) => {
+      attempts.push(job.attempts);
+    },
+    storage,
+    leaseMs: LEASE_MS,
+  });
+  const stale = { id: "search", type: "search", key: "1", leaseId: "crashed", attempts: 1 };
+  await storage.put("jobs", stale.id, {
+    ...stale,
+    status: "running",
+    availableAt: 0,
+    leaseExpiresAt: Date.now() - 1,
+  });
+
+  assert.equal(await queue.processPending(), 1);
+  assert.deepEqual(attempts, [2]);
+  assert.equal(await storage.get("jobs", stale.id), null);
+});
+
+test("fails a job whose lease expired on its last attempt", async () => {
+  const storage = createMemoryStorage({ sweepIntervalMs: 0 });
+  const attempts = [];
+  const queue = createStorageJobQueue({
+    handler: async (job) => {
+      attempts.push(job.attempts);
+    },
+    storage,
+    maxAttempts: 3,
+    leaseMs: LEASE_MS,
+  });
+  const stale = { id: "broadcast", type: "broadcast", key: "1", leaseId: "killed", attempts: 3 };
+  await storage.put("jobs", stale.id, {
+    ...stale,
+    status: "running",
+    availableAt: 0,
+    leaseExpiresAt: Date.now() - 1,
+  });
+
+  assert.equal(await queue.processPending(), 0);
+  assert.deepEqual(attempts, []);
+  const job = await storage.get("jobs", stale.id);
+  assert.equal(job.status, "failed");
+  assert.equal(job.attempts, 3);
+  assert.deepEqual(await queue.size(), { active: 0, pending: 0 });
+});
+
+test("keeps the new claim when the previous holder finishes late", async () => {
+  const storage = createMemoryStorage({ sweepIntervalMs: 0 });
+  let release;
+  const stalled = new Promise((resolve) => {
+    release = resolve;
+  });
+  const queue = createStorageJobQueue({ handler: () => stalled, storage, leaseMs: LEASE_MS });
+
+  await queue.enqueue({ id: "search", type: "search" });
+  const running = queue.processPending();
+  await sleep(10);
+  await storage.update("jobs", "search", (job) => ({ ...job, leaseId: "other-worker" }));
+  release();
+  await running;
+
+  const job = await storage.get("jobs", "search");
+  assert.equal(job.leaseId, "other-worker");
+  assert.equal(job.status, "running");
+});
+
+test("holds a delayed job until it is due and waits for it while draining", async () => {
+  const storage = createMemoryStorage({ sweepIntervalMs: 0 });
+  const ran = [];
+  const queue = createStorageJobQueue({
+    handler: async (job) => {
+      ran.push(Date.now() - job.createdAt);
+    },
+    storage,
+    leaseMs: LEASE_MS,
+  });
+
+  await queue.enqueue({ id: "album", type: "album", runAt: Date.now() + 100 });
+  assert.equal(await queue.processPending(), 0);
+
+  await queue.drain({ deadline: Date.now() + 1_000 });
+  assert.equal(ran.length, 1);
+  assert.ok(ran[0] >= 100);
+});
@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import { afterEach, test } from "node:test";
+import handler from "../../api/metrics.js";
+
+function createResponse() {
+  return {
+    statusCode: null,
+    body: null,
+
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+
+    json() {
+      return this;
+    },
+
+    setHeader() {
+      return this;
+    },
+
+    send(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+async function requestMetrics(token) {
+  const res = createResponse();
+  const headers = token ? { authorization: `Bearer ${token}` } : {};
+  await handler({ method: "GET", url: "/api/metrics", headers }, res);
+  return res;
+}
+
+afterEach(() => {
+  delete process.env.METRICS_TOKEN;
+  delete process.env.VERCEL;
+});
+
+test("serves the registry with the metrics token", async () => {
+  process.env.METRICS_TOKEN = "metrics-token";
+
+  assert.equal((await requestMetrics("wrong")).statusCode, 401);
+  const res = await requestMetrics("metrics-token");
+  assert.equal(res.statusCode, 200);
+  assert.match(res.body, /# TYPE anime_bot_searches_total counter/);
+});
+
+test("refuses to serve per-instance metrics on Vercel", async () => {
+  process.env.METRICS_TOKEN = "metrics-token";
+  process.env.VERCEL = "1";
+
+  assert.equal((await requestMetrics("metrics-token")).statusCode, 501);
+});
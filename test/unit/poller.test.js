@@ -0,0 +1,35 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { createPoller } from "../../lib/poller.js";
+import { createMemoryStorage } from "../../lib/storage.js";
+import { startFakeTelegram, telegramError } from "../support/fake-telegram.js";
+
+const BOT_TOKEN = "123456:TEST-TOKEN";
+
+let telegram;
+
+before(async () => {
+  telegram = await startFakeTelegram();
+  Object.assign(process.env, { LOG_LEVEL: "silent", TELEGRAM_API_BASE: telegram.url });
+});
+
+after(() => telegram.close());
+
+test("deletes the webhook and stops on a getUpdates conflict", async () => {
+  telegram.fail(
+    "getUpdates",
+    telegramError(409, "Conflict: can't use getUpdates method while webhook is active"),
+  );
+  const poller = createPoller({
+    token: BOT_TOKEN,
+    storage: createMemoryStorage({ sweepIntervalMs: 0 }),
+    handleUpdate: async () => {},
+    timeoutSeconds: 0,
+  });
+
+  await assert.rejects(poller.start(), { code: "POLLING_CONFLICT" });
+  await poller.stop();
+
+  assert.equal(telegram.calls("deleteWebhook").length, 1);
+  assert.equal(telegram.calls("getUpdates").length, 1);
+});
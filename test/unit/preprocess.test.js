@@ -0,0 +1,130 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import sharp from "sharp";
+import { findContentBox, isBarLine, preprocessImage } from "../../lib/preprocess.js";
+
+const WIDTH = 256;
+const HEIGHT = 144;
+
+function createFrame({ top = [], bottom = [], left = 0, right = 0 } = {}) {
+  let state = 12345;
+  const pixels = Buffer.alloc(WIDTH * HEIGHT);
+  for (let index = 0; index < pixels.length; index += 1) {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    pixels[index] = 40 + (state % 176);
+  }
+
+  function fillRows(from, bands) {
+    let row = from;
+    for (const [count, value] of bands) {
+      if (value !== null) {
+        pixels.fill(value, row * WIDTH, (row + count) * WIDTH);
+      }
+      row += count;
+    }
+  }
+
+  fillRows(0, top);
+  fillRows(HEIGHT - bottom.reduce((sum, [count]) => sum + count, 0), bottom);
+  for (let row = 0; row < HEIGHT; row += 1) {
+    pixels.fill(0, row * WIDTH, row * WIDTH + left);
+    pixels.fill(0, (row + 1) * WIDTH - right, (row + 1) * WIDTH);
+  }
+
+  return pixels;
+}
+
+test("treats only near-black or near-white flat lines as bars", () => {
+  assert.equal(isBarLine({ mean: 4, stddev: 1 }), true);
+  assert.equal(isBarLine({ mean: 250, stddev: 3 }), true);
+  assert.equal(isBarLine({ mean: 30, stddev: 2 }), false);
+  assert.equal(isBarLine({ mean: 230, stddev: 2 }), false);
+  assert.equal(isBarLine({ mean: 8, stddev: 10 }), false);
+});
+
+test("strips symmetric letterbox bars", () => {
+  const pixels = createFrame({ top: [[14, 0]], bottom: [[14, 0]] });
+
+  assert.deepEqual(findContentBox(pixels, { width: WIDTH, height: HEIGHT }), {
+    left: 0,
+    top: 14,
+    width: WIDTH,
+    height: HEIGHT - 28,
+  });
+});
+
+test("strips pillarbox bars on both sides", () => {
+  const pixels = createFrame({ left: 20, right: 20 });
+
+  assert.deepEqual(findContentBox(pixels, { width: WIDTH, height: HEIGHT }), {
+    left: 20,
+    top: 0,
+    width: WIDTH - 40,
+    height: HEIGHT,
+  });
+});
+
+test("strips a status bar together with the bars around it", () => {
+  const pixels = createFrame({
+    top: [
+      [3, 0],
+      [6, null],
+      [10, 0],
+    ],
+    bottom: [[19, 0]],
+  });
+
+  const box = findContentBox(pixels, { width: WIDTH, height: HEIGHT });
+  assert.equal(box.top, 19);
+  assert.equal(box.height, HEIGHT - 38);
+});
+
+test("removes at most 15% from each side", () => {
+  const pixels = createFrame({ top: [[40, 0]], bottom: [[40, 0]] });
+
+  const box = findContentBox(pixels, { width: WIDTH, height: HEIGHT });
+  assert.equal(box.top, 21);
+  assert.equal(box.height, HEIGHT - 42);
+});
+
+test("removes a thin border on one edge", () => {
+  const pixels = createFrame({ top: [[3, 255]] });
+
+  assert.deepEqual(findContentBox(pixels, { width: WIDTH, height: HEIGHT }), {
+    left: 0,
+    top: 3,
+    width: WIDTH,
+    height: HEIGHT - 3,
+  });
+});
+
+test("keeps a dark sky over the top of a night scene", () => {
+  const pixels = createFrame({ top: [[65, 8]] });
+
+  assert.equal(findContentBox(pixels, { width: WIDTH, height: HEIGHT }), null);
+});
+
+test("keeps snow covering the bottom of a scene", () => {
+  const pixels = createFrame({ bottom: [[58, 250]] });
+
+  assert.equal(findContentBox(pixels, { width: WIDTH, height: HEIGHT }), null);
+});
+
+test("keeps dark but not black bands", () => {
+  const pixels = createFrame({ top: [[14, 30]], bottom: [[14, 30]] });
+
+  assert.equal(findContentBox(pixels, { width: WIDTH, height: HEIGHT }), null);
+});
+
+test("crops letterboxed images at full resolution", async () => {
+  const frame = await sharp(createFrame({ top: [[14, 0]], bottom: [[14, 0]] }), {
+    raw: { width: WIDTH, height: HEIGHT, channels: 1 },
+  })
+    .resize(WIDTH * 5, HEIGHT * 5, { kernel: "nearest" })
+    .png()
+    .toBuffer();
+
+  const processed = await preprocessImage(frame);
+  assert.deepEqual(processed.crop, { left: 0, top: 70, width: WIDTH * 5, height: 580 });
+  assert.equal(processed.mimeType, "image/jpeg");
+});
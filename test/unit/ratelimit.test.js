@@ -0,0 +1,60 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { consumeRateLimit, loadRateLimitConfig } from "../../lib/ratelimit.js";
+import { createMemoryStorage } from "../../lib/storage.js";
+
+const MINUTE_START = Math.floor(Date.now() / 60_000) * 60_000;
+const NOW = MINUTE_START + 30_000;
+
+function createConfig(env) {
+  return loadRateLimitConfig({
+    RATE_LIMIT_USER_PER_MINUTE: "0",
+    RATE_LIMIT_USER_PER_DAY: "0",
+    RATE_LIMIT_CHAT_PER_MINUTE: "0",
+    RATE_LIMIT_CHAT_PER_DAY: "0",
+    ...env,
+  });
+}
+
+test("never lets concurrent searches past the limit", async () => {
+  const storage = createMemoryStorage({ sweepIntervalMs: 0 });
+  const config = createConfig({ RATE_LIMIT_USER_PER_MINUTE: "3" });
+
+  const outcomes = await Promise.all(
+    Array.from({ length: 5 }, () =>
+      consumeRateLimit(storage, config, { userId: 1, chatId: 1, now: NOW }),
+    ),
+  );
+
+  assert.equal(outcomes.filter((outcome) => outcome.allowed).length, 3);
+  assert.deepEqual(outcomes[4], {
+    allowed: false,
+    scope: "user",
+    window: "minute",
+    limit: 3,
+    resetAt: MINUTE_START + 60_000,
+  });
+});
+
+test("gives the quota back when a later counter denies the search", async () => {
+  const storage = createMemoryStorage({ sweepIntervalMs: 0 });
+  const config = createConfig({ RATE_LIMIT_USER_PER_DAY: "5", RATE_LIMIT_CHAT_PER_DAY: "1" });
+
+  const first = await consumeRateLimit(storage, config, { userId: 1, chatId: 9, now: NOW });
+  assert.equal(first.allowed, true);
+  const denied = await consumeRateLimit(storage, config, { userId: 2, chatId: 9, now: NOW });
+
+  assert.equal(denied.scope, "chat");
+  assert.equal((await storage.get("rateLimits", "user:2:day")).count, 0);
+});
+
+test("charges a multi-unit cost only when it fits", async () => {
+  const storage = createMemoryStorage({ sweepIntervalMs: 0 });
+  const config = createConfig({ RATE_LIMIT_USER_PER_MINUTE: "4" });
+
+  const consume = (cost) => consumeRateLimit(storage, config, { userId: 1, cost, now: NOW });
+
+  assert.equal((await consume(3)).allowed, true);
+  assert.equal((await consume(2)).allowed, false);
+  assert.equal((await storage.get("rateLimits", "user:1:minute")).count, 3);
+});
@@ -0,0 +1,100 @@
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, test } from "node:test";
+import {
+  createFileStorage,
+  createMemoryStorage,
+  createStorageFromEnv,
+} from "../../lib/storage.js";
+
+let directory;
+
+before(async () => {
+  directory = await mkdtemp(join(tmpdir(), "storage-test-"));
+});
+
+after(() => rm(directory, { recursive: true, force: true }));
+
+describe("expiry", () => {
+  test("hides expired documents and sweeps them", async () => {
+    const storage = createMemoryStorage({ sweepIntervalMs: 0 });
+    const now = Date.now();
+    await storage.put("sessions", "old", { id: "old", expiresAt: now - 1 });
+    await storage.put("sessions", "live", { id: "live", expiresAt: now + 60_000 });
+    await storage.put("sessions", "kept", { id: "kept" });
+
+    assert.equal(await storage.get("sessions", "old"), null);
+    assert.deepEqual((await storage.list("sessions")).map((doc) => doc.id).sort(), [
+      "kept",
+      "live",
+    ]);
+    assert.equal(await storage.sweep(), 1);
+    assert.equal(await storage.deleteWhere("sessions", (doc) => doc.id === "old"), 0);
+  });
+
+  test("passes an expired document to update as missing", async () => {
+    const storage = createMemoryStorage({ sweepIntervalMs: 0 });
+    await storage.put("counters", "a", { count: 5, expiresAt: Date.now() - 1 });
+
+    const next = await storage.update("counters", "a", (doc) => ({ count: (doc?.count ?? 0) + 1 }));
+    assert.deepEqual(next, { count: 1 });
+  });
+});
+
+describe("file storage", () => {
+  test("debounces writes and persists them on flush", async () => {
+    const filePath = join(directory, "debounce.json");
+    const storage = createFileStorage({ filePath, flushDelayMs: 60_000, sweepIntervalMs: 0 });
+
+    for (let index = 0; index < 5; index += 1) {
+      await storage.update("counters", "a", (doc) => ({ count: (doc?.count ?? 0) + 1 }));
+    }
+
+    await assert.rejects(readFile(filePath, "utf8"), { code: "ENOENT" });
+    await storage.close();
+
+    const saved = JSON.parse(await readFile(filePath, "utf8"));
+    assert.deepEqual(saved.counters.a, { count: 5 });
+  });
+
+  test("loads the file once and drops expired documents", async () => {
+    const filePath = join(directory, "reload.json");
+    const first = createFileStorage({ filePath, sweepIntervalMs: 0 });
+    await first.put("updates", "old", { id: "old", expiresAt: Date.now() + 50 });
+    await first.put("updates", "new", { id: "new", expiresAt: Date.now() + 60_000 });
+    await first.close();
+    await new Promise((resolve) => setTimeout(resolve, 60));
+
+    const second = createFileStorage({ filePath, sweepIntervalMs: 0 });
+    assert.deepEqual((await second.list("updates")).map((doc) => doc.id), ["new"]);
+    await rm(filePath);
+    assert.equal((await second.get("updates", "new")).id, "new");
+    await second.put("updates", "next", { id: "next" });
+    await second.close();
+
+    const saved = JSON.parse(await readFile(filePath, "utf8"));
+    assert.deepEqual(Object.keys(saved.updates), ["new", "next"]);
+  });
+});
+
+describe("configuration", () => {
+  test("defaults to shared Redis storage on Vercel", () => {
+    assert.throws(() => createStorageFromEnv({ VERCEL: "1" }), /Missing Redis REST URL/);
+
+    const storage = createStorageFromEnv({
+      VERCEL: "1",
+      KV_REST_API_URL: "https://kv.example.com",
+      KV_REST_API_TOKEN: "kv-token",
+    });
+    assert.equal(storage.backend, "redis");
+    assert.equal(storage.shared, true);
+  });
+
+  test("keeps in-memory storage as the default elsewhere", async () => {
+    const storage = createStorageFromEnv({});
+    assert.equal(storage.shared, false);
+    await storage.close();
+  });
+});